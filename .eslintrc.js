@@ -11,6 +11,15 @@ module.exports = {
         es6: true,
         mocha: true
     },
+    globals: {
+        // available in node 15+, feature detected before use
+        AbortController: 'readonly',
+        AbortSignal: 'readonly',
+        // fallbacks outside of node, feature detected before use
+        Deno: 'readonly',
+        MessageChannel: 'readonly',
+        queueMicrotask: 'readonly'
+    },
     plugins: ['prettier'],
     rules: {
         'prettier/prettier': 'error',
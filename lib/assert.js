@@ -0,0 +1,105 @@
+'use strict';
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// type checks, by the name used in assertion messages. the subset of
+// assert-plus used by this library, without its dependency on node's assert,
+// stream and util modules.
+const TYPES = {
+    array: function isArray(arg) {
+        return Array.isArray(arg);
+    },
+    bool: function isBool(arg) {
+        return typeof arg === 'boolean';
+    },
+    func: function isFunc(arg) {
+        return typeof arg === 'function';
+    },
+    number: function isNumber(arg) {
+        return typeof arg === 'number' && !isNaN(arg);
+    },
+    object: function isObject(arg) {
+        return typeof arg === 'object' && arg !== null;
+    },
+    string: function isString(arg) {
+        return typeof arg === 'string';
+    }
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * throw an assertion error.
+ * @private
+ * @function fail
+ * @param {String} message the error message
+ * @return {undefined}
+ */
+function fail(message) {
+    const err = new Error(message);
+    err.name = 'AssertionError';
+    err.code = 'ERR_ASSERTION';
+    throw err;
+}
+
+/**
+ * assert that a value is truthy.
+ * @private
+ * @function ok
+ * @param {*} value the value
+ * @param {String} [message] the error message
+ * @return {undefined}
+ */
+function ok(value, message) {
+    if (!value) {
+        fail(message || 'The expression evaluated to a falsy value');
+    }
+}
+
+/**
+ * assert that two values are strictly equal.
+ * @private
+ * @function equal
+ * @param {*} actual the actual value
+ * @param {*} expected the expected value
+ * @param {String} [message] the error message
+ * @return {undefined}
+ */
+function equal(actual, expected, message) {
+    if (actual !== expected) {
+        fail(message || actual + ' === ' + expected);
+    }
+}
+
+//------------------------------------------------------------------------------
+// exports
+//------------------------------------------------------------------------------
+
+const out = {
+    equal,
+    ok
+};
+
+// for each type, a check that requires the value, and an optional check that
+// also passes for null and undefined.
+Object.keys(TYPES).forEach(function _defineChecks(type) {
+    const check = TYPES[type];
+    const optionalName = 'optional' + type[0].toUpperCase() + type.slice(1);
+
+    out[type] = function _assertType(arg, name) {
+        if (check(arg) === false) {
+            fail(name + ' (' + type + ') is required');
+        }
+    };
+    out[optionalName] = function _assertOptionalType(arg, name) {
+        if (arg !== undefined && arg !== null && check(arg) === false) {
+            fail(name + ' (' + type + ') is required');
+        }
+    };
+});
+
+module.exports = out;
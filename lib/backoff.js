@@ -0,0 +1,192 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+const JITTER_TYPES = ['none', 'full', 'decorrelated'];
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Backoff object which tracks consecutive failures and computes how long to
+ * wait before the next attempt.
+ * @class
+ * @constructor
+ * @private
+ * @param {Object} opts an options object
+ * @param {Number} [opts.base] delay in ms after the first failure
+ * @param {Number} [opts.factor] multiplier applied for each consecutive failure
+ * @param {Number} [opts.max] upper bound for any delay in ms
+ * @param {String} [opts.jitter] one of `none`, `full` or `decorrelated`
+ * @param {Number} [opts.resetAfter] number of consecutive successes required
+ * before the attempt count is reset
+ */
+function Backoff(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.base, 'opts.base');
+    assert.optionalNumber(opts.factor, 'opts.factor');
+    assert.optionalNumber(opts.max, 'opts.max');
+    assert.optionalString(opts.jitter, 'opts.jitter');
+    assert.optionalNumber(opts.resetAfter, 'opts.resetAfter');
+
+    const self = this;
+
+    /**
+     * delay after the first failure
+     * @private
+     * @type {Number}
+     */
+    self._base = typeof opts.base === 'number' ? opts.base : 1000;
+
+    /**
+     * growth factor per consecutive failure
+     * @private
+     * @type {Number}
+     */
+    self._factor = typeof opts.factor === 'number' ? opts.factor : 2;
+
+    /**
+     * upper bound for any computed delay
+     * @private
+     * @type {Number}
+     */
+    self._max = typeof opts.max === 'number' ? opts.max : 60000;
+
+    /**
+     * jitter strategy
+     * @private
+     * @type {String}
+     */
+    self._jitter = opts.jitter || 'full';
+
+    /**
+     * consecutive successes needed to reset the attempt count
+     * @private
+     * @type {Number}
+     */
+    self._resetAfter =
+        typeof opts.resetAfter === 'number' ? opts.resetAfter : 1;
+
+    assert.ok(self._base >= 0, 'opts.base must be >= 0');
+    assert.ok(self._factor >= 1, 'opts.factor must be >= 1');
+    assert.ok(self._max >= self._base, 'opts.max must be >= opts.base');
+    assert.ok(
+        JITTER_TYPES.indexOf(self._jitter) !== -1,
+        'opts.jitter must be one of: ' + JITTER_TYPES.join(', ')
+    );
+    assert.ok(self._resetAfter >= 1, 'opts.resetAfter must be >= 1');
+
+    /**
+     * number of consecutive failures. this is the current attempt number.
+     * @private
+     * @type {Number}
+     */
+    self._attempt = 0;
+
+    /**
+     * number of consecutive successes since the last failure
+     * @private
+     * @type {Number}
+     */
+    self._successes = 0;
+
+    /**
+     * last delay returned, used by decorrelated jitter
+     * @private
+     * @type {Number}
+     */
+    self._lastDelay = self._base;
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * record a failure and compute the delay before the next attempt.
+ * @private
+ * @method fail
+ * @return {Number} delay in ms
+ */
+Backoff.prototype.fail = function fail() {
+    const self = this;
+    let delay;
+
+    self._attempt += 1;
+    self._successes = 0;
+
+    if (self._jitter === 'decorrelated') {
+        // decorrelated jitter grows off of the previous delay rather than the
+        // attempt count, picking a random value between the base and the
+        // previous delay times the factor.
+        const upper = Math.max(self._base, self._lastDelay * self._factor);
+        delay = Math.min(self._max, randomBetween(self._base, upper));
+    } else {
+        const exp = Math.min(
+            self._max,
+            self._base * Math.pow(self._factor, self._attempt - 1)
+        );
+        delay = self._jitter === 'full' ? randomBetween(0, exp) : exp;
+    }
+
+    self._lastDelay = delay;
+    return delay;
+};
+
+/**
+ * record a success. resets the attempt count once enough consecutive
+ * successes have been seen.
+ * @private
+ * @method succeed
+ * @return {undefined}
+ */
+Backoff.prototype.succeed = function succeed() {
+    const self = this;
+
+    if (self._attempt === 0) {
+        return;
+    }
+
+    self._successes += 1;
+
+    if (self._successes >= self._resetAfter) {
+        self._attempt = 0;
+        self._successes = 0;
+        self._lastDelay = self._base;
+    }
+};
+
+/**
+ * returns the current attempt number, i.e., the number of consecutive
+ * failures.
+ * @private
+ * @method attempt
+ * @return {Number}
+ */
+Backoff.prototype.attempt = function attempt() {
+    return this._attempt;
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * returns a random integer between min and max, inclusive.
+ * @private
+ * @function randomBetween
+ * @param {Number} min lower bound
+ * @param {Number} max upper bound
+ * @return {Number}
+ */
+function randomBetween(min, max) {
+    return Math.floor(min + Math.random() * (max - min + 1));
+}
+
+module.exports = Backoff;
@@ -1,7 +1,7 @@
 'use strict';
 
-// external modules
-const assert = require('assert-plus');
+// internal files
+const assert = require('./assert');
 
 /**
  * a simple bind function. takes a function and a context, and returns a
@@ -0,0 +1,197 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Breaker object which tracks consecutive failures and decides when to stop
+ * invoking a failing function for a while.
+ * @class
+ * @constructor
+ * @private
+ * @param {Object} opts an options object
+ * @param {Number} [opts.threshold] number of consecutive failures that opens
+ * the circuit
+ * @param {Number} [opts.window] only count failures that happened within this
+ * many ms of the latest failure
+ * @param {Number} [opts.cooldown] time in ms the circuit stays open before a
+ * trial run is allowed
+ */
+function Breaker(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.threshold, 'opts.threshold');
+    assert.optionalNumber(opts.window, 'opts.window');
+    assert.optionalNumber(opts.cooldown, 'opts.cooldown');
+
+    const self = this;
+
+    /**
+     * consecutive failures needed to open the circuit
+     * @private
+     * @type {Number}
+     */
+    self._threshold = typeof opts.threshold === 'number' ? opts.threshold : 5;
+
+    /**
+     * time window failures must fall in to count towards the threshold
+     * @private
+     * @type {Number}
+     */
+    self._window = typeof opts.window === 'number' ? opts.window : Infinity;
+
+    /**
+     * time the circuit stays open
+     * @private
+     * @type {Number}
+     */
+    self._cooldown = typeof opts.cooldown === 'number' ? opts.cooldown : 30000;
+
+    assert.ok(self._threshold >= 1, 'opts.threshold must be >= 1');
+    assert.ok(self._window > 0, 'opts.window must be > 0');
+    assert.ok(self._cooldown >= 0, 'opts.cooldown must be >= 0');
+
+    /**
+     * current state of the circuit
+     * @private
+     * @type {String}
+     */
+    self._state = CLOSED;
+
+    /**
+     * times of the consecutive failures seen while closed
+     * @private
+     * @type {Array}
+     */
+    self._failures = [];
+
+    /**
+     * time the circuit last opened
+     * @private
+     * @type {Number}
+     */
+    self._openedAt = null;
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * record a failure.
+ * @private
+ * @method fail
+ * @param {Number} now current time in ms
+ * @return {String} the new state if the circuit opened, otherwise null
+ */
+Breaker.prototype.fail = function fail(now) {
+    const self = this;
+
+    // a failed trial run opens the circuit right back up.
+    if (self._state === HALF_OPEN) {
+        return self._open(now);
+    }
+
+    self._failures.push(now);
+    self._failures = self._failures.filter(function _inWindow(time) {
+        return now - time < self._window;
+    });
+
+    if (self._state === CLOSED && self._failures.length >= self._threshold) {
+        return self._open(now);
+    }
+
+    return null;
+};
+
+/**
+ * record a success.
+ * @private
+ * @method succeed
+ * @return {String} the new state if the circuit closed, otherwise null
+ */
+Breaker.prototype.succeed = function succeed() {
+    const self = this;
+
+    self._failures = [];
+
+    if (self._state === HALF_OPEN) {
+        self._state = CLOSED;
+        return CLOSED;
+    }
+
+    return null;
+};
+
+/**
+ * move an open circuit to half-open, allowing a single trial run.
+ * @private
+ * @method trial
+ * @return {String} the new state if the circuit was open, otherwise null
+ */
+Breaker.prototype.trial = function trial() {
+    const self = this;
+
+    if (self._state !== OPEN) {
+        return null;
+    }
+
+    self._state = HALF_OPEN;
+    return HALF_OPEN;
+};
+
+/**
+ * returns the time in ms until the circuit allows a trial run.
+ * @private
+ * @method remaining
+ * @param {Number} now current time in ms
+ * @return {Number} 0 unless the circuit is open
+ */
+Breaker.prototype.remaining = function remaining(now) {
+    const self = this;
+
+    if (self._state !== OPEN) {
+        return 0;
+    }
+
+    return Math.max(0, self._openedAt + self._cooldown - now);
+};
+
+/**
+ * returns the current state of the circuit.
+ * @private
+ * @method state
+ * @return {String} one of `closed`, `open` or `half-open`
+ */
+Breaker.prototype.state = function state() {
+    return this._state;
+};
+
+/**
+ * open the circuit.
+ * @private
+ * @method _open
+ * @param {Number} now current time in ms
+ * @return {String} the new state
+ */
+Breaker.prototype._open = function _open(now) {
+    const self = this;
+
+    self._state = OPEN;
+    self._openedAt = now;
+    self._failures = [];
+    return OPEN;
+};
+
+module.exports = Breaker;
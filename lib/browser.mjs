@@ -0,0 +1,26 @@
+// source of the ES module build, for browsers, Deno, workers and CDNs that
+// serve npm packages as ES modules. `make build` bundles it together with its
+// dependencies into dist/reissue.mjs, which loads without node's CommonJS
+// interop. node core modules are swapped out via the `browser` field of
+// package.json, so the file based lock and store aren't exported.
+import reissue from './index.js';
+
+export const STOP = reissue.STOP;
+export const create = reissue.create;
+export const createMemoryLock = reissue.createMemoryLock;
+export const createMemoryStore = reissue.createMemoryStore;
+export const createPool = reissue.createPool;
+export const createScheduler = reissue.createScheduler;
+export const createVirtualClock = reissue.createVirtualClock;
+export const toPrometheus = reissue.toPrometheus;
+
+export default {
+    STOP,
+    create,
+    createMemoryLock,
+    createMemoryStore,
+    createPool,
+    createScheduler,
+    createVirtualClock,
+    toPrometheus
+};
@@ -0,0 +1,416 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// system clock
+//------------------------------------------------------------------------------
+
+/**
+ * the default clock, backed by the real timers. each function looks up the
+ * global at call time, rather than holding on to a reference, so that timer
+ * fakes installed after this module is loaded are still respected.
+ * @private
+ * @type {Object}
+ */
+const systemClock = {
+    now: function now() {
+        return Date.now();
+    },
+    setTimeout: function _setTimeout(fn, delay) {
+        return setTimeout(fn, delay);
+    },
+    clearTimeout: function _clearTimeout(handle) {
+        clearTimeout(handle);
+    },
+    setImmediate: function _setImmediate(fn) {
+        if (typeof setImmediate === 'function') {
+            return setImmediate(fn);
+        }
+
+        return fallbackImmediate(fn);
+    },
+    clearImmediate: function _clearImmediate(handle) {
+        if (handle && handle.fallback === true) {
+            handle.cleared = true;
+        } else if (typeof clearImmediate === 'function') {
+            clearImmediate(handle);
+        }
+    }
+};
+
+/**
+ * run a function as soon as possible, outside the current call stack, where
+ * setImmediate() is not available, e.g., in browsers, Deno and workers. a
+ * MessageChannel message runs the function in its own task, after pending
+ * i/o and rendering. without one, the function runs as a microtask.
+ * @private
+ * @function fallbackImmediate
+ * @param {Function} fn function to run
+ * @return {Object} a handle for the clock's clearImmediate()
+ */
+function fallbackImmediate(fn) {
+    const handle = {
+        fallback: true,
+        cleared: false
+    };
+
+    function _run() {
+        if (handle.cleared === false) {
+            fn();
+        }
+    }
+
+    if (typeof MessageChannel === 'function') {
+        const channel = new MessageChannel();
+
+        channel.port1.onmessage = function _onMessage() {
+            // an open port keeps a node process or worker alive.
+            channel.port1.close();
+            _run();
+        };
+        channel.port2.postMessage(null);
+    } else {
+        queueMicrotask(_run);
+    }
+
+    return handle;
+}
+
+/**
+ * unref a timer handle, such that the timer doesn't keep the process alive.
+ * node timers have an unref() method, while Deno identifies timers by number,
+ * and has Deno.unrefTimer(). elsewhere, this does nothing.
+ * @private
+ * @function unref
+ * @param {Object|Number} handle a timer handle
+ * @return {undefined}
+ */
+function unref(handle) {
+    if (handle && typeof handle.unref === 'function') {
+        handle.unref();
+    } else if (
+        typeof Deno === 'object' &&
+        typeof Deno.unrefTimer === 'function'
+    ) {
+        Deno.unrefTimer(handle);
+    }
+}
+
+/**
+ * assert that an object implements the clock interface.
+ * @private
+ * @function assertClock
+ * @param {Object} clock a clock object
+ * @param {String} name name of the clock for assertion messages
+ * @return {undefined}
+ */
+function assertClock(clock, name) {
+    assert.object(clock, name);
+    assert.func(clock.now, name + '.now');
+    assert.func(clock.setTimeout, name + '.setTimeout');
+    assert.func(clock.clearTimeout, name + '.clearTimeout');
+    assert.func(clock.setImmediate, name + '.setImmediate');
+}
+
+//------------------------------------------------------------------------------
+// virtual clock
+//------------------------------------------------------------------------------
+
+/**
+ * VirtualClock object. implements the clock interface, but time only moves
+ * forward when told to via tick(), next() or runAll(). timers fire in order of
+ * their due time, and in order of creation for timers due at the same time.
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {Number} [opts.now] the starting time in ms. defaults to 0.
+ */
+function VirtualClock(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalNumber(opts && opts.now, 'opts.now');
+
+    const self = this;
+
+    /**
+     * current virtual time
+     * @private
+     * @type {Number}
+     */
+    self._now = (opts && opts.now) || 0;
+
+    /**
+     * pending timers, in order of creation
+     * @private
+     * @type {Array}
+     */
+    self._timers = [];
+
+    /**
+     * incrementing id used to order timers created at the same time
+     * @private
+     * @type {Number}
+     */
+    self._seq = 0;
+
+    // bind the clock interface, so methods can be passed around detached from
+    // the clock, the same way the real timer functions can be.
+    self.now = self.now.bind(self);
+    self.setTimeout = self.setTimeout.bind(self);
+    self.clearTimeout = self.clearTimeout.bind(self);
+    self.setImmediate = self.setImmediate.bind(self);
+    self.clearImmediate = self.clearImmediate.bind(self);
+}
+
+/**
+ * returns the current virtual time.
+ * @public
+ * @method VirtualClock.now
+ * @return {Number}
+ */
+VirtualClock.prototype.now = function now() {
+    return this._now;
+};
+
+/**
+ * schedule a function to run after the given delay of virtual time.
+ * @public
+ * @method VirtualClock.setTimeout
+ * @param {Function} fn function to run
+ * @param {Number} [delay] delay in ms
+ * @return {Object} a timer handle
+ */
+VirtualClock.prototype.setTimeout = function _setTimeout(fn, delay) {
+    assert.func(fn, 'fn');
+
+    const self = this;
+    const timer = {
+        fn: fn,
+        at: self._now + Math.max(0, delay || 0),
+        seq: self._seq++,
+        // virtual timers never hold a process open, these exist so that
+        // handles can be used in place of real timer handles.
+        ref: function _ref() {
+            return timer;
+        },
+        unref: function _unref() {
+            return timer;
+        }
+    };
+
+    self._timers.push(timer);
+    return timer;
+};
+
+/**
+ * cancel a timer.
+ * @public
+ * @method VirtualClock.clearTimeout
+ * @param {Object} handle a timer handle
+ * @return {undefined}
+ */
+VirtualClock.prototype.clearTimeout = function _clearTimeout(handle) {
+    const self = this;
+    const idx = self._timers.indexOf(handle);
+
+    if (idx !== -1) {
+        self._timers.splice(idx, 1);
+    }
+};
+
+/**
+ * schedule a function to run at the current virtual time, the next time the
+ * clock is advanced.
+ * @public
+ * @method VirtualClock.setImmediate
+ * @param {Function} fn function to run
+ * @return {Object} a timer handle
+ */
+VirtualClock.prototype.setImmediate = function _setImmediate(fn) {
+    return this.setTimeout(fn, 0);
+};
+
+/**
+ * cancel a function scheduled via setImmediate().
+ * @public
+ * @method VirtualClock.clearImmediate
+ * @param {Object} handle a timer handle
+ * @return {undefined}
+ */
+VirtualClock.prototype.clearImmediate = function _clearImmediate(handle) {
+    this.clearTimeout(handle);
+};
+
+/**
+ * advance virtual time by the given amount, running every timer that comes
+ * due along the way, including timers scheduled by other timers.
+ * @public
+ * @method VirtualClock.tick
+ * @param {Number} ms amount of time to advance by
+ * @return {undefined}
+ */
+VirtualClock.prototype.tick = function tick(ms) {
+    assert.number(ms, 'ms');
+
+    const self = this;
+    const target = self._now + ms;
+    let timer = self._earliest(target);
+
+    while (timer !== null) {
+        self._run(timer);
+        timer = self._earliest(target);
+    }
+
+    self._now = target;
+};
+
+/**
+ * same as tick(), but lets pending promise callbacks settle before the clock
+ * is first advanced, and between each timer. use this when the scheduled
+ * functions return promises.
+ * @public
+ * @method VirtualClock.tickAsync
+ * @param {Number} ms amount of time to advance by
+ * @return {Promise} resolves once time has been advanced
+ */
+VirtualClock.prototype.tickAsync = function tickAsync(ms) {
+    assert.number(ms, 'ms');
+
+    const self = this;
+    const target = self._now + ms;
+
+    return settle().then(function _loop() {
+        const timer = self._earliest(target);
+
+        if (timer === null) {
+            self._now = target;
+            return undefined;
+        }
+
+        self._run(timer);
+        return settle().then(_loop);
+    });
+};
+
+/**
+ * advance virtual time to the next timer and run it.
+ * @public
+ * @method VirtualClock.next
+ * @return {Boolean} true if a timer was run
+ */
+VirtualClock.prototype.next = function next() {
+    const self = this;
+    const timer = self._earliest(Infinity);
+
+    if (timer === null) {
+        return false;
+    }
+
+    self._run(timer);
+    return true;
+};
+
+/**
+ * run timers until there are none left. a running reissue handler always has
+ * a timer scheduled, so this is only useful once handlers have been stopped,
+ * or with handlers that stop themselves.
+ * @public
+ * @method VirtualClock.runAll
+ * @param {Number} [limit] maximum number of timers to run before throwing.
+ * defaults to 1000.
+ * @return {undefined}
+ */
+VirtualClock.prototype.runAll = function runAll(limit) {
+    assert.optionalNumber(limit, 'limit');
+
+    const self = this;
+    const max = typeof limit === 'number' ? limit : 1000;
+
+    for (let i = 0; i < max; i++) {
+        if (self.next() === false) {
+            return;
+        }
+    }
+
+    throw new Error(
+        'runAll() ran ' + max + ' timers and there are still more left'
+    );
+};
+
+/**
+ * returns the number of pending timers.
+ * @public
+ * @method VirtualClock.countTimers
+ * @return {Number}
+ */
+VirtualClock.prototype.countTimers = function countTimers() {
+    return this._timers.length;
+};
+
+/**
+ * returns the timer that is due first, as long as it is due at or before the
+ * given time.
+ * @private
+ * @method _earliest
+ * @param {Number} until a virtual timestamp
+ * @return {Object} a timer, or null
+ */
+VirtualClock.prototype._earliest = function _earliest(until) {
+    let earliest = null;
+
+    this._timers.forEach(function _compare(timer) {
+        if (
+            timer.at <= until &&
+            (earliest === null ||
+                timer.at < earliest.at ||
+                (timer.at === earliest.at && timer.seq < earliest.seq))
+        ) {
+            earliest = timer;
+        }
+    });
+
+    return earliest;
+};
+
+/**
+ * remove a timer, advance time to it, and run it.
+ * @private
+ * @method _run
+ * @param {Object} timer a timer
+ * @return {undefined}
+ */
+VirtualClock.prototype._run = function _run(timer) {
+    const self = this;
+
+    self.clearTimeout(timer);
+    self._now = Math.max(self._now, timer.at);
+    timer.fn();
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * returns a promise that resolves once pending promise callbacks have run.
+ * this uses the system clock's setImmediate, which runs only after the
+ * microtask queue has been drained, or its fallback where setImmediate() is
+ * not available.
+ * @private
+ * @function settle
+ * @return {Promise}
+ */
+function settle() {
+    return new Promise(function _settle(resolve) {
+        systemClock.setImmediate(resolve);
+    });
+}
+
+module.exports = {
+    assertClock,
+    systemClock,
+    unref,
+    VirtualClock
+};
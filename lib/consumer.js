@@ -0,0 +1,309 @@
+'use strict';
+
+// core modules
+const stream = require('stream');
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Consumer object which buffers the results and errors of a handler's
+ * invocations until they are pulled. while a value is waiting to be pulled,
+ * the handler holds off on scheduling its next invocation.
+ * @class
+ * @constructor
+ * @private
+ * @param {Reissue} handler the handler to consume
+ */
+function Consumer(handler) {
+    assert.object(handler, 'handler');
+
+    const self = this;
+
+    /**
+     * the handler being consumed
+     * @private
+     * @type {Reissue}
+     */
+    self._handler = handler;
+
+    /**
+     * items waiting to be pulled, each with either a `value`, an `error`, or
+     * `done` set once the handler stopped.
+     * @private
+     * @type {Array}
+     */
+    self._items = [];
+
+    /**
+     * pending pull() calls, waiting on the next item.
+     * @private
+     * @type {Array}
+     */
+    self._waiters = [];
+
+    /**
+     * true once the consumer no longer listens to the handler.
+     * @private
+     * @type {Boolean}
+     */
+    self._detached = false;
+
+    /**
+     * listeners attached to the handler, by event name
+     * @private
+     * @type {Object}
+     */
+    self._listeners = {
+        result: function _onResult(value) {
+            self._push({ value: value });
+        },
+        error: function _onError(err) {
+            self._push({ error: err });
+        },
+        stop: function _onStop() {
+            // stop listening right away, such that values left in the buffer
+            // don't hold off a handler that is started again.
+            self._detach();
+            self._push({ done: true });
+        }
+    };
+
+    Object.keys(self._listeners).forEach(function _attach(eventName) {
+        handler.on(eventName, self._listeners[eventName]);
+    });
+}
+
+//------------------------------------------------------------------------------
+// methods
+//------------------------------------------------------------------------------
+
+/**
+ * returns true if a value or an error is waiting to be pulled.
+ * @private
+ * @method isFull
+ * @return {Boolean}
+ */
+Consumer.prototype.isFull = function isFull() {
+    return this._detached === false && this._items.length > 0;
+};
+
+/**
+ * pull the next item. an error ends the consumer, and stops the handler.
+ * @private
+ * @method pull
+ * @return {Promise} a promise that resolves with an iterator result, i.e., an
+ * object with the `value` and whether the consumer is `done`, or rejects
+ * with the error of an invocation.
+ */
+Consumer.prototype.pull = function pull() {
+    const self = this;
+
+    if (self._items.length === 0) {
+        if (self._detached === true) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise(function _waitForItem(resolve, reject) {
+            self._waiters.push({
+                resolve: resolve,
+                reject: reject
+            });
+        });
+    }
+
+    const item = self._items.shift();
+
+    // the handler held off on its next invocation until now.
+    if (self._items.length === 0) {
+        self._handler._release();
+    }
+
+    return self._settle(item);
+};
+
+/**
+ * stop consuming, and stop the handler if it is still active. pending pull()
+ * calls resolve as done.
+ * @private
+ * @method close
+ * @return {Promise} a promise that resolves once the handler has stopped
+ */
+Consumer.prototype.close = function close() {
+    const self = this;
+    const wasDetached = self._detached;
+
+    self._detach();
+    self._items = [];
+
+    const waiters = self._waiters;
+    self._waiters = [];
+    waiters.forEach(function _resolveWaiter(waiter) {
+        waiter.resolve({ value: undefined, done: true });
+    });
+
+    if (wasDetached === true || self._handler.getState() === 'stopped') {
+        return Promise.resolve();
+    }
+
+    return self._handler.stop();
+};
+
+/**
+ * hand an item to a pending pull() call, or buffer it.
+ * @private
+ * @method _push
+ * @param {Object} item the item
+ * @return {undefined}
+ */
+Consumer.prototype._push = function _push(item) {
+    const self = this;
+
+    if (self._waiters.length === 0) {
+        self._items.push(item);
+        return;
+    }
+
+    const waiter = self._waiters.shift();
+
+    self._settle(item).then(waiter.resolve, waiter.reject);
+};
+
+/**
+ * turn an item into the result of a pull() call.
+ * @private
+ * @method _settle
+ * @param {Object} item the item
+ * @return {Promise} see pull()
+ */
+Consumer.prototype._settle = function _settle(item) {
+    const self = this;
+
+    if (item.done === true) {
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    if (item.error) {
+        // like a for await loop, give up after the first error.
+        return self.close().then(function _rejectWithError() {
+            throw item.error;
+        });
+    }
+
+    return Promise.resolve({ value: item.value, done: false });
+};
+
+/**
+ * stop listening to the handler.
+ * @private
+ * @method _detach
+ * @return {undefined}
+ */
+Consumer.prototype._detach = function _detach() {
+    const self = this;
+
+    if (self._detached === true) {
+        return;
+    }
+
+    self._detached = true;
+    Object.keys(self._listeners).forEach(function _removeListener(eventName) {
+        self._handler.removeListener(eventName, self._listeners[eventName]);
+    });
+    self._handler._removeConsumer(self);
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * create an async iterator over the values of a consumer. ending the
+ * iteration early, e.g., by breaking out of a for await loop, stops the
+ * handler.
+ * @private
+ * @function toIterator
+ * @param {Consumer} consumer the consumer
+ * @return {Object} an async iterator
+ */
+function toIterator(consumer) {
+    const iterator = {
+        next: function next() {
+            return consumer.pull();
+        },
+        return: function _return(value) {
+            return consumer.close().then(function _done() {
+                return { value: value, done: true };
+            });
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = function asyncIterator() {
+        return iterator;
+    };
+
+    return iterator;
+}
+
+/**
+ * create an object mode Readable stream over the values of a consumer.
+ * values are only pulled when the stream is read from. destroying the stream
+ * stops the handler, and an invocation error destroys the stream. since null
+ * ends a stream, a null value destroys the stream as well.
+ * @private
+ * @function toStream
+ * @param {Consumer} consumer the consumer
+ * @return {stream.Readable} a Readable stream
+ */
+function toStream(consumer) {
+    if (typeof stream.Readable !== 'function') {
+        throw new Error(
+            'toStream() requires node streams, use the async iterator instead'
+        );
+    }
+
+    const readable = new stream.Readable({
+        objectMode: true,
+        // buffer a single value, so that the consumer holds off the handler
+        // as soon as the stream isn't being read.
+        highWaterMark: 1,
+        read: function _read() {
+            consumer.pull().then(
+                function _onItem(item) {
+                    if (item.done === true) {
+                        readable.push(null);
+                    } else if (item.value === null) {
+                        readable.destroy(
+                            new Error(
+                                'toStream() cannot pass on a null result, ' +
+                                    'use the async iterator instead'
+                            )
+                        );
+                    } else {
+                        readable.push(item.value);
+                    }
+                },
+                function _onError(err) {
+                    readable.destroy(err);
+                }
+            );
+        },
+        destroy: function _destroy(err, callback) {
+            consumer.close().then(function _onClosed() {
+                callback(err);
+            });
+        }
+    });
+
+    return readable;
+}
+
+module.exports = {
+    Consumer,
+    toIterator,
+    toStream
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+// external modules
+const cronParser = require('cron-parser');
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Cron object which wraps a cron expression and computes fire times.
+ * @class
+ * @constructor
+ * @private
+ * @param {Object} opts an options object
+ * @param {String} opts.expression a cron expression with 5 fields, or 6 fields
+ * where the first field is seconds
+ * @param {String} [opts.timezone] an IANA time zone name, e.g.,
+ * `America/New_York`. defaults to the local time zone.
+ */
+function Cron(opts) {
+    assert.object(opts, 'opts');
+    assert.string(opts.expression, 'opts.expression');
+    assert.optionalString(opts.timezone, 'opts.timezone');
+
+    const fields = opts.expression.trim().split(/\s+/);
+    assert.ok(
+        fields.length === 5 || fields.length === 6,
+        'cron expression must have 5 or 6 fields: ' + opts.expression
+    );
+
+    const self = this;
+
+    /**
+     * the cron expression
+     * @private
+     * @type {String}
+     */
+    self._expression = opts.expression;
+
+    /**
+     * the time zone to evaluate the expression in
+     * @private
+     * @type {String}
+     */
+    self._timezone = opts.timezone;
+
+    // compute a fire time eagerly, which surfaces both invalid expressions
+    // and invalid time zones at creation time rather than on first schedule.
+    try {
+        self.next(Date.now());
+    } catch (e) {
+        throw new Error(
+            'invalid cron expression or time zone: ' +
+                opts.expression +
+                (opts.timezone ? ' (' + opts.timezone + ')' : '')
+        );
+    }
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * returns the first fire time strictly after the given time.
+ * @private
+ * @method next
+ * @param {Number} after a timestamp in ms
+ * @return {Number} a timestamp in ms
+ */
+Cron.prototype.next = function next(after) {
+    return this._parse(after)
+        .next()
+        .getTime();
+};
+
+/**
+ * returns all fire times strictly after one time, and at or before another.
+ * @private
+ * @method between
+ * @param {Number} after a timestamp in ms
+ * @param {Number} until a timestamp in ms
+ * @return {Array} timestamps in ms, in ascending order
+ */
+Cron.prototype.between = function between(after, until) {
+    const times = [];
+    const iterator = this._parse(after);
+    let time = iterator.next().getTime();
+
+    while (time <= until) {
+        times.push(time);
+        time = iterator.next().getTime();
+    }
+
+    return times;
+};
+
+/**
+ * parse the expression into an iterator of fire times after the given time.
+ * @private
+ * @method _parse
+ * @param {Number} after a timestamp in ms
+ * @return {Object} a cron-parser iterator
+ */
+Cron.prototype._parse = function _parse(after) {
+    const self = this;
+    const parseOpts = {
+        currentDate: new Date(after)
+    };
+
+    if (self._timezone) {
+        parseOpts.tz = self._timezone;
+    }
+
+    return cronParser.parseExpression(self._expression, parseOpts);
+};
+
+module.exports = Cron;
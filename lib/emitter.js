@@ -0,0 +1,223 @@
+'use strict';
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Emitter object. a minimal event emitter, covering the part of node's
+ * EventEmitter API used with handlers and schedulers. stands in for node's
+ * events module outside of node, see the `browser` field in package.json.
+ * like node's, emitting an `error` event without a listener throws the error.
+ * @class
+ * @constructor
+ * @private
+ */
+function Emitter() {
+    /**
+     * listeners by event name, in order of registration
+     * @private
+     * @type {Map}
+     */
+    this._eventListeners = new Map();
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * add a listener for an event.
+ * @public
+ * @method Emitter.on
+ * @param {String} eventName name of the event
+ * @param {Function} listener the listener
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.on = function on(eventName, listener) {
+    if (typeof listener !== 'function') {
+        throw new TypeError('listener must be a function');
+    }
+
+    const listeners = this._eventListeners.get(eventName);
+
+    if (listeners) {
+        listeners.push(listener);
+    } else {
+        this._eventListeners.set(eventName, [listener]);
+    }
+
+    return this;
+};
+
+/**
+ * alias for on().
+ * @public
+ * @method Emitter.addListener
+ * @param {String} eventName name of the event
+ * @param {Function} listener the listener
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.addListener = Emitter.prototype.on;
+
+/**
+ * add a listener which is removed the first time the event is emitted.
+ * @public
+ * @method Emitter.once
+ * @param {String} eventName name of the event
+ * @param {Function} listener the listener
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.once = function once(eventName, listener) {
+    if (typeof listener !== 'function') {
+        throw new TypeError('listener must be a function');
+    }
+
+    const self = this;
+
+    function _onceWrapper() {
+        self.removeListener(eventName, _onceWrapper);
+        return listener.apply(self, arguments);
+    }
+    // lets removeListener() find the wrapper by the original listener.
+    _onceWrapper.listener = listener;
+
+    return self.on(eventName, _onceWrapper);
+};
+
+/**
+ * remove a listener. if it was added more than once, the one added last is
+ * removed.
+ * @public
+ * @method Emitter.removeListener
+ * @param {String} eventName name of the event
+ * @param {Function} listener the listener
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.removeListener = function removeListener(
+    eventName,
+    listener
+) {
+    const listeners = this._get(eventName);
+
+    for (let i = listeners.length - 1; i >= 0; i--) {
+        if (listeners[i] === listener || listeners[i].listener === listener) {
+            listeners.splice(i, 1);
+            break;
+        }
+    }
+
+    if (listeners.length === 0) {
+        this._eventListeners.delete(eventName);
+    }
+
+    return this;
+};
+
+/**
+ * alias for removeListener().
+ * @public
+ * @method Emitter.off
+ * @param {String} eventName name of the event
+ * @param {Function} listener the listener
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.off = Emitter.prototype.removeListener;
+
+/**
+ * remove all listeners of an event, or of all events.
+ * @public
+ * @method Emitter.removeAllListeners
+ * @param {String} [eventName] name of the event
+ * @return {Emitter} the emitter, for chaining
+ */
+Emitter.prototype.removeAllListeners = function removeAllListeners(eventName) {
+    if (eventName === undefined) {
+        this._eventListeners.clear();
+    } else {
+        this._eventListeners.delete(eventName);
+    }
+
+    return this;
+};
+
+/**
+ * returns a copy of the listeners of an event.
+ * @public
+ * @method Emitter.listeners
+ * @param {String} eventName name of the event
+ * @return {Array} the listeners, unwrapped if added via once()
+ */
+Emitter.prototype.listeners = function listeners(eventName) {
+    return this._get(eventName).map(function _unwrap(listener) {
+        return listener.listener || listener;
+    });
+};
+
+/**
+ * returns the number of listeners of an event.
+ * @public
+ * @method Emitter.listenerCount
+ * @param {String} eventName name of the event
+ * @return {Number}
+ */
+Emitter.prototype.listenerCount = function listenerCount(eventName) {
+    return this._get(eventName).length;
+};
+
+/**
+ * returns the names of all events with listeners.
+ * @public
+ * @method Emitter.eventNames
+ * @return {Array}
+ */
+Emitter.prototype.eventNames = function eventNames() {
+    return Array.from(this._eventListeners.keys());
+};
+
+/**
+ * call the listeners of an event synchronously, in order of registration,
+ * with the given arguments.
+ * @public
+ * @method Emitter.emit
+ * @param {String} eventName name of the event
+ * @return {Boolean} true if the event had listeners
+ */
+Emitter.prototype.emit = function emit(eventName) {
+    const self = this;
+    // a copy, so that listeners added or removed while emitting don't change
+    // who is called for this event.
+    const listeners = self._get(eventName).slice();
+    const args = Array.prototype.slice.call(arguments, 1);
+
+    if (listeners.length === 0) {
+        if (eventName === 'error') {
+            throw args[0] instanceof Error
+                ? args[0]
+                : new Error('Unhandled error. (' + args[0] + ')');
+        }
+        return false;
+    }
+
+    listeners.forEach(function _call(listener) {
+        listener.apply(self, args);
+    });
+    return true;
+};
+
+//------------------------------------------------------------------------------
+// private methods
+//------------------------------------------------------------------------------
+
+/**
+ * returns the listeners of an event, or an empty array.
+ * @private
+ * @method _get
+ * @param {String} eventName name of the event
+ * @return {Array}
+ */
+Emitter.prototype._get = function _get(eventName) {
+    return this._eventListeners.get(eventName) || [];
+};
+
+module.exports = Emitter;
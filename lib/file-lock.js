@@ -0,0 +1,326 @@
+'use strict';
+
+// core modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// a mutex directory older than this is assumed to be left behind by a process
+// that crashed while holding it.
+const MUTEX_STALE_MS = 10000;
+
+// a busy mutex is usually held for a few ms only, e.g., by another instance
+// trying to acquire the lease, so it is tried again a few times, after a
+// jittered delay, before giving up.
+const MUTEX_RETRIES = 5;
+const MUTEX_RETRY_MS = 10;
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * FileLock object. a lock adapter which keeps each lease in a file, so it
+ * coordinates handlers across processes on the same host. every read and
+ * write of a lease file happens while holding a mutex, a directory next to the
+ * file, since creating a directory is atomic. if the mutex stays busy after
+ * a few short retries, the lease is not acquired or renewed on this attempt. leases are shared across
+ * processes, so they always use the real clock.
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.dir] the directory to keep lease files in. defaults
+ * to the os temp directory.
+ */
+function FileLock(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalString(opts && opts.dir, 'opts.dir');
+
+    /**
+     * directory lease files are kept in
+     * @private
+     * @type {String}
+     */
+    this._dir = (opts && opts.dir) || os.tmpdir();
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * acquire the lease for a key, if it is free, expired, or already held by
+ * the owner.
+ * @public
+ * @method FileLock.acquire
+ * @param {String} key the key to lock
+ * @param {String} owner the owner of the lease
+ * @param {Number} ttl time in ms until the lease expires
+ * @param {Function} callback called with an error, and true if acquired
+ * @return {undefined}
+ */
+FileLock.prototype.acquire = function acquire(key, owner, ttl, callback) {
+    this._update(
+        key,
+        function _canAcquire(lease) {
+            return (
+                !lease || lease.owner === owner || lease.expiresAt <= Date.now()
+            );
+        },
+        { owner: owner, ttl: ttl },
+        callback
+    );
+};
+
+/**
+ * extend the lease for a key, as long as the owner still holds it.
+ * @public
+ * @method FileLock.renew
+ * @param {String} key the key to lock
+ * @param {String} owner the owner of the lease
+ * @param {Number} ttl time in ms until the lease expires
+ * @param {Function} callback called with an error, and true if renewed
+ * @return {undefined}
+ */
+FileLock.prototype.renew = function renew(key, owner, ttl, callback) {
+    this._update(
+        key,
+        function _canRenew(lease) {
+            return Boolean(lease) && lease.owner === owner;
+        },
+        { owner: owner, ttl: ttl },
+        callback
+    );
+};
+
+/**
+ * give up the lease for a key, if the owner holds it.
+ * @public
+ * @method FileLock.release
+ * @param {String} key the key to unlock
+ * @param {String} owner the owner of the lease
+ * @param {Function} callback called with an error
+ * @return {undefined}
+ */
+FileLock.prototype.release = function release(key, owner, callback) {
+    this._update(
+        key,
+        function _canRelease(lease) {
+            return Boolean(lease) && lease.owner === owner;
+        },
+        null,
+        function _onRelease(err) {
+            return callback(err || null);
+        }
+    );
+};
+
+//------------------------------------------------------------------------------
+// private methods
+//------------------------------------------------------------------------------
+
+/**
+ * while holding the mutex, read the lease file for a key, and if the check
+ * passes, write a new lease or, without one, remove the lease file.
+ * @private
+ * @method _update
+ * @param {String} key the key
+ * @param {Function} check called with the current lease, or null
+ * @param {Object} next the `owner` and `ttl` of the new lease, or null
+ * @param {Function} callback called with an error, and true if the check
+ * passed
+ * @return {undefined}
+ */
+FileLock.prototype._update = function _update(key, check, next, callback) {
+    const file = path.join(this._dir, encodeURIComponent(key) + '.lock');
+    const mutex = file + '.mutex';
+
+    waitForMutex(mutex, MUTEX_RETRIES, function _onMutex(mutexErr, locked) {
+        if (mutexErr || locked === false) {
+            return callback(mutexErr || null, false);
+        }
+
+        return readLease(file, function _onRead(readErr, lease) {
+            if (readErr || check(lease) === false) {
+                return done(readErr, false);
+            }
+
+            if (next === null) {
+                return fs.unlink(file, function _onUnlink(unlinkErr) {
+                    return done(unlinkErr, true);
+                });
+            }
+
+            const data = JSON.stringify({
+                owner: next.owner,
+                expiresAt: Date.now() + next.ttl
+            });
+
+            return fs.writeFile(file, data, function _onWrite(writeErr) {
+                return done(writeErr, true);
+            });
+        });
+    });
+
+    function done(err, result) {
+        fs.rmdir(mutex, function _onUnlock(unlockErr) {
+            const firstErr = err || unlockErr || null;
+            return callback(firstErr, firstErr ? false : result);
+        });
+    }
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * lock the mutex, trying again after a short, jittered delay while it is
+ * busy.
+ * @private
+ * @function waitForMutex
+ * @param {String} mutex path of the mutex directory
+ * @param {Number} retries number of retries left
+ * @param {Function} callback called with an error, and true if locked
+ * @return {undefined}
+ */
+function waitForMutex(mutex, retries, callback) {
+    lockMutex(mutex, function _onLock(err, locked) {
+        if (err || locked === true || retries === 0) {
+            return callback(err, locked);
+        }
+
+        return setTimeout(function _retry() {
+            waitForMutex(mutex, retries - 1, callback);
+        }, MUTEX_RETRY_MS * (0.5 + Math.random()));
+    });
+}
+
+/**
+ * try to create the mutex directory. a mutex left behind by a crashed
+ * process is taken over, see takeOverMutex().
+ * @private
+ * @function lockMutex
+ * @param {String} mutex path of the mutex directory
+ * @param {Function} callback called with an error, and true if locked
+ * @return {undefined}
+ */
+function lockMutex(mutex, callback) {
+    fs.mkdir(mutex, function _onMkdir(err) {
+        if (!err) {
+            return callback(null, true);
+        }
+
+        if (err.code !== 'EEXIST') {
+            return callback(err, false);
+        }
+
+        return fs.stat(mutex, function _onStat(statErr, stats) {
+            if (statErr || isStale(stats) === false) {
+                return callback(null, false);
+            }
+
+            return takeOverMutex(mutex, stats.mtimeMs, callback);
+        });
+    });
+}
+
+/**
+ * take over a stale mutex. several processes may find the same stale mutex,
+ * and removing it blindly would let one of them remove the mutex another one
+ * just took. so only the process that gets to create the claim directory for
+ * this stale mutex, named after its mtime, removes it, and only if the mutex
+ * still has that mtime. a claim left behind by a process that crashed while
+ * taking over is itself removed once stale, to be claimed again on a later
+ * attempt.
+ * @private
+ * @function takeOverMutex
+ * @param {String} mutex path of the mutex directory
+ * @param {Number} mtimeMs mtime of the stale mutex
+ * @param {Function} callback called with an error, and true if locked
+ * @return {undefined}
+ */
+function takeOverMutex(mutex, mtimeMs, callback) {
+    const claim = mutex + '.' + mtimeMs;
+
+    fs.mkdir(claim, function _onClaim(claimErr) {
+        if (claimErr) {
+            return fs.stat(claim, function _onStatClaim(statErr, stats) {
+                if (statErr || isStale(stats) === false) {
+                    return callback(null, false);
+                }
+
+                return fs.rmdir(claim, function _onRemoveClaim() {
+                    return callback(null, false);
+                });
+            });
+        }
+
+        return fs.stat(mutex, function _onRestat(statErr, stats) {
+            // the mutex was released, or taken over, since we found it stale.
+            if (statErr || stats.mtimeMs !== mtimeMs) {
+                return retry();
+            }
+
+            return fs.rmdir(mutex, retry);
+        });
+
+        function retry() {
+            fs.mkdir(mutex, function _onRetry(retryErr) {
+                fs.rmdir(claim, function _onUnclaim() {
+                    return callback(null, !retryErr);
+                });
+            });
+        }
+    });
+}
+
+/**
+ * check if a mutex or claim directory was left behind by a crashed process.
+ * @private
+ * @function isStale
+ * @param {Object} stats the stats of the directory
+ * @return {Boolean}
+ */
+function isStale(stats) {
+    return Date.now() - stats.mtimeMs >= MUTEX_STALE_MS;
+}
+
+/**
+ * read a lease file.
+ * @private
+ * @function readLease
+ * @param {String} file path of the lease file
+ * @param {Function} callback called with an error, and the lease or null if
+ * there is none
+ * @return {undefined}
+ */
+function readLease(file, callback) {
+    fs.readFile(file, 'utf8', function _onRead(err, data) {
+        if (err) {
+            return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        let lease;
+
+        // a lease file that can't be parsed was cut short, e.g., by a crash
+        // while writing it, and is treated as free.
+        try {
+            lease = JSON.parse(data);
+        } catch (e) {
+            lease = null;
+        }
+
+        return callback(null, lease);
+    });
+}
+
+module.exports = FileLock;
@@ -0,0 +1,111 @@
+'use strict';
+
+// core modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * FileStore object. a store which keeps the state of each key in a JSON file,
+ * so it survives restarting the process. a file is written in full to a
+ * temporary file first, then renamed, so that a crash while saving never
+ * leaves a partial file behind.
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.dir] the directory to keep state files in. defaults
+ * to the os temp directory.
+ */
+function FileStore(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalString(opts && opts.dir, 'opts.dir');
+
+    /**
+     * directory state files are kept in
+     * @private
+     * @type {String}
+     */
+    this._dir = (opts && opts.dir) || os.tmpdir();
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * load the state saved for a key.
+ * @public
+ * @method FileStore.load
+ * @param {String} key the key
+ * @param {Function} callback called with an error, and the state or null if
+ * nothing was saved
+ * @return {undefined}
+ */
+FileStore.prototype.load = function load(key, callback) {
+    fs.readFile(this._file(key), 'utf8', function _onRead(err, data) {
+        if (err) {
+            return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+
+        let state;
+
+        try {
+            state = JSON.parse(data);
+        } catch (e) {
+            return callback(e, null);
+        }
+
+        return callback(null, state);
+    });
+};
+
+/**
+ * save the state for a key.
+ * @public
+ * @method FileStore.save
+ * @param {String} key the key
+ * @param {Object} state the state
+ * @param {Function} callback called with an error
+ * @return {undefined}
+ */
+FileStore.prototype.save = function save(key, state, callback) {
+    const file = this._file(key);
+    // unique per process, so that two processes saving at the same time never
+    // write to the same temporary file.
+    const tmpFile = file + '.' + process.pid + '.tmp';
+
+    fs.writeFile(tmpFile, JSON.stringify(state), function _onWrite(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return fs.rename(tmpFile, file, function _onRename(renameErr) {
+            return callback(renameErr || null);
+        });
+    });
+};
+
+//------------------------------------------------------------------------------
+// private methods
+//------------------------------------------------------------------------------
+
+/**
+ * path of the state file for a key.
+ * @private
+ * @method _file
+ * @param {String} key the key
+ * @return {String} a path
+ */
+FileStore.prototype._file = function _file(key) {
+    return path.join(this._dir, encodeURIComponent(key) + '.json');
+};
+
+module.exports = FileStore;
@@ -1,14 +1,44 @@
 'use strict';
 
 // core modules
-const events = require('events');
-const util = require('util');
-
-// external modules
-const assert = require('assert-plus');
+const EventEmitter = require('events');
 
 // internal files
+const Backoff = require('./backoff');
+const Breaker = require('./breaker');
+const Cron = require('./cron');
+const FileLock = require('./file-lock');
+const FileStore = require('./file-store');
+const Pool = require('./pool');
+const assert = require('./assert');
 const bind = require('./bind');
+const clock = require('./clock');
+const consumer = require('./consumer');
+const lock = require('./lock');
+const prometheus = require('./prometheus');
+const Scheduler = require('./scheduler');
+const Stats = require('./stats');
+const store = require('./store');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// largest delay setTimeout can handle. anything larger overflows and fires
+// immediately.
+const MAX_TIMEOUT = 2147483647;
+
+// supported values of opts.mode
+const MODES = ['fixed-delay', 'fixed-rate'];
+
+// supported values of opts.overrunPolicy
+const OVERRUN_POLICIES = ['immediate', 'skip', 'catch-up'];
+
+// supported values of opts.timeoutPolicy
+const TIMEOUT_POLICIES = ['wait', 'abandon'];
+
+// returned by an interval function to stop the handler.
+const STOP = Symbol('reissue.STOP');
 
 //------------------------------------------------------------------------------
 // class constructor
@@ -20,32 +50,48 @@ const bind = require('./bind');
  * @constructor
  * @private
  * @param {Object} opts an options object
- * @param {Object} opts.func an the function to execute
+ * @param {Object} opts.func an the function to execute. may call back or
+ * return a promise.
  * @param {Object | Function} opts.interval the interval to execute at, or a
  * function that returns an interval. function allows for dynamic intervals.
  * @param {Number} [opts.timeout] an optional timeout value that causes the
  * `timeout` event to be fired when a given invocation exceeds this value.
  * function that returns an interval. function allows for dynamic intervals.
+ * @param {String} [opts.timeoutPolicy] `wait` or `abandon`
  * @param {Object} [opts.context] the context to bind the function to
  * @param {Object} [opts.args] any arguments to pass to the function
+ * @param {Object} [opts.backoff] options for backing off after failures
+ * @param {Object} [opts.circuitBreaker] options for skipping invocations
+ * after repeated failures
+ * @param {Pool} [opts.pool] a pool limiting concurrent invocations
+ * @param {Object} [opts.lock] options for only running while holding a lock
+ * @param {Object} [opts.store] a store to save the last run in
+ * @param {Number} [opts.priority] priority of invocations within the pool
+ * @param {String} [opts.cron] a cron expression, used instead of interval
+ * @param {String} [opts.timezone] the time zone for the cron expression
+ * @param {String} [opts.mode] `fixed-delay` or `fixed-rate`
+ * @param {Number | Date} [opts.anchor] the time fixed-rate slots align to
+ * @param {Boolean} [opts.align] wait for a fixed-rate slot before the first
+ * invocation
+ * @param {String} [opts.overrunPolicy] `immediate`, `skip` or `catch-up`
+ * @param {Number} [opts.maxCatchUp] maximum number of missed slots to catch
+ * up on
+ * @param {Object} [opts.clock] the clock used to tell time and set timers
+ * @param {String} [opts.name] a name for the handler
+ * @param {Boolean} [opts.abortSignal] pass an AbortSignal to the function
+ * @param {Number} [opts.maxInvocations] stop after this many invocations
+ * @param {Number | Date} [opts.until] stop once the next invocation would
+ * start after this time
+ * @param {Function} [opts.stopWhen] stop if this returns true
+ * @param {Function} [opts.shouldRun] skip invocations while this returns false
  */
 function Reissue(opts) {
     // assert options
     assert.object(opts, 'opts');
-    assert.func(opts.func, 'func');
-    assert.optionalObject(opts.context, 'context');
-    assert.optionalArray(opts.args, 'args');
-    assert.optionalNumber(opts.timeout, 'timeout');
-    assert.optionalBool(opts.unref, 'unref');
-
-    // assert options of different types
-    const typeofInterval = typeof opts.interval;
-    assert.equal(
-        typeofInterval === 'function' || typeofInterval === 'number',
-        true
-    );
+    assertOptions(opts);
 
     const self = this;
+    EventEmitter.call(self);
 
     //--------------------------------------------------------------------------
     // user supplied properties
@@ -59,17 +105,69 @@ function Reissue(opts) {
 
     /**
      * the interval to execute at. if user passed in static value, wrap it in
-     * a function to normalize the dynamic interval scenario.
+     * a function to normalize the dynamic interval scenario. null when
+     * scheduling via cron.
      * @private
      * @type {Number | Function}
      * @return {Number}
      */
     self._interval =
-        typeofInterval === 'number'
+        typeof opts.interval === 'number'
             ? function _returnInterval() {
                   return opts.interval;
               }
-            : opts.interval;
+            : opts.interval || null;
+
+    /**
+     * cron schedule to execute at, used instead of an interval.
+     * @private
+     * @type {Cron}
+     */
+    self._cron = opts.cron
+        ? new Cron({
+              expression: opts.cron,
+              timezone: opts.timezone
+          })
+        : null;
+
+    /**
+     * true if invocations land on multiples of the interval, rather than an
+     * interval after the previous invocation started.
+     * @private
+     * @type {Boolean}
+     */
+    self._fixedRate = opts.mode === 'fixed-rate';
+
+    /**
+     * in fixed-rate mode, the user supplied time slots are aligned to.
+     * @private
+     * @type {Number}
+     */
+    self._anchor = toTime(opts.anchor);
+
+    /**
+     * in fixed-rate mode, whether the first invocation also waits for a slot.
+     * @private
+     * @type {Boolean}
+     */
+    self._align = opts.align === true;
+
+    /**
+     * what to do when an invocation runs past the next slot. cron and
+     * fixed-rate schedules skip to the next slot by default.
+     * @private
+     * @type {String}
+     */
+    self._overrunPolicy =
+        opts.overrunPolicy || (self._hasSlots() ? 'skip' : 'immediate');
+
+    /**
+     * with the `catch-up` overrun policy, the maximum number of missed slots
+     * that are caught up on.
+     * @private
+     * @type {Number}
+     */
+    self._maxCatchUp = numberOr(opts.maxCatchUp, 10);
 
     /**
      * `this` context for the function
@@ -79,12 +177,12 @@ function Reissue(opts) {
     self._funcContext = opts.context || null;
 
     /**
-     * arguments to pass to the function. append the internal done callback.
+     * arguments to pass to the function. a completion callback is appended to
+     * these on every invocation.
      * @private
      * @type {Array}
      */
-    const boundDone = bind(self._done, self);
-    self._funcArgs = opts.args ? opts.args.concat(boundDone) : [boundDone];
+    self._funcArgs = opts.args || [];
 
     /**
      * schedule an optional timeout which will trigger timeout event if a
@@ -94,6 +192,14 @@ function Reissue(opts) {
      */
     self._timeoutMs = opts.timeout || null;
 
+    /**
+     * if true, an invocation that exceeds the timeout is abandoned, and fails
+     * right away, rather than waiting for it to complete.
+     * @private
+     * @type {Boolean}
+     */
+    self._abandonOnTimeout = opts.timeoutPolicy === 'abandon';
+
     /**
      * if true, unref the timeout, which will allow the process to go down if
      * needed without calling stop()
@@ -102,10 +208,146 @@ function Reissue(opts) {
      */
     self._unref = opts.unref === true ? true : false;
 
+    /**
+     * if true, pass an AbortSignal to each invocation, which is aborted when
+     * the invocation times out or when stop() is called.
+     * @private
+     * @type {Boolean}
+     */
+    self._abortSignal = opts.abortSignal === true;
+
+    /**
+     * stop after this many invocations.
+     * @private
+     * @type {Number}
+     */
+    self._maxInvocations = numberOr(opts.maxInvocations, null);
+
+    /**
+     * stop once the next invocation would start after this time.
+     * @private
+     * @type {Number}
+     */
+    self._until = toTime(opts.until);
+
+    /**
+     * predicate called after each invocation with its error and result.
+     * stop if it returns true.
+     * @private
+     * @type {Function}
+     */
+    self._stopWhen = opts.stopWhen || null;
+
+    /**
+     * predicate called before each invocation, which may return a promise.
+     * the invocation is skipped if it returns false.
+     * @private
+     * @type {Function}
+     */
+    self._shouldRun = opts.shouldRun || null;
+
+    /**
+     * optional backoff applied to the next invocation after failures.
+     * @private
+     * @type {Backoff}
+     */
+    self._backoff = opts.backoff ? new Backoff(opts.backoff) : null;
+
+    /**
+     * optional circuit breaker, which skips invocations for a while after
+     * repeated failures.
+     * @private
+     * @type {Breaker}
+     */
+    self._breaker = opts.circuitBreaker
+        ? new Breaker(opts.circuitBreaker)
+        : null;
+
+    /**
+     * optional pool shared with other handlers, which limits how many
+     * invocations run at the same time.
+     * @private
+     * @type {Pool}
+     */
+    self._pool = opts.pool || null;
+
+    /**
+     * priority of invocations waiting for a pool slot.
+     * @private
+     * @type {Number}
+     */
+    self._priority = opts.priority || 0;
+
+    /**
+     * optional lock, which must be held for invocations to run. has the
+     * `adapter`, and the `key`, `owner` and `ttl` of the lease.
+     * @private
+     * @type {Object}
+     */
+    self._lock = opts.lock ? createLease(opts.lock, opts.name) : null;
+
+    /**
+     * optional store the last run is saved in, keyed by name, so that the
+     * schedule carries on where it left off after a restart.
+     * @private
+     * @type {Object}
+     */
+    self._store = opts.store || null;
+
+    /**
+     * the clock used to tell time and schedule timers.
+     * @private
+     * @type {Object}
+     */
+    self._clock = opts.clock || clock.systemClock;
+
+    /**
+     * an optional name for the handler, used when reporting stats.
+     * @public
+     * @type {String}
+     */
+    self.name = opts.name || null;
+
+    /**
+     * the result of the last invocation that completed without an error.
+     * @public
+     * @type {*}
+     */
+    self.lastResult = undefined;
+
+    /**
+     * why the handler last stopped, see the `stop` event. null while active,
+     * or if it never stopped.
+     * @public
+     * @type {String}
+     */
+    self.stopReason = null;
+
     //--------------------------------------------------------------------------
     // internal properties
     //--------------------------------------------------------------------------
 
+    /**
+     * number of consecutive invocations that returned an error.
+     * @private
+     * @type {Number}
+     */
+    self._failures = 0;
+
+    /**
+     * number of invocations since the handler was last started.
+     * @private
+     * @type {Number}
+     */
+    self._runs = 0;
+
+    /**
+     * runtime statistics
+     * @private
+     * @type {Stats}
+     */
+    self._stats = new Stats();
+
     /**
      * internal flag used to determine if the process is active.
      * @private
@@ -113,6 +355,29 @@ function Reissue(opts) {
      */
     self._active = false;
 
+    /**
+     * flag set while the handler is paused. an in flight invocation is
+     * allowed to complete, but no new invocations are scheduled.
+     * @private
+     * @type {Boolean}
+     */
+    self._paused = false;
+
+    /**
+     * time the next invocation is (or would be, if paused) scheduled for.
+     * @private
+     * @type {Number}
+     */
+    self._nextRunAt = null;
+
+    /**
+     * while paused, the remaining delay before the next invocation. the
+     * delay is frozen for as long as the handler is paused.
+     * @private
+     * @type {Number}
+     */
+    self._pausedRemaining = null;
+
     /**
      * keeps track of time elapsed since last invocation.
      * @private
@@ -120,6 +385,38 @@ function Reissue(opts) {
      */
     self._startTime = 0;
 
+    /**
+     * when scheduling via cron, the slot the next (or current) invocation is
+     * scheduled for.
+     * @private
+     * @type {Number}
+     */
+    self._cronSlot = 0;
+
+    /**
+     * in fixed-rate mode, the time slots are aligned to since the handler was
+     * last started.
+     * @private
+     * @type {Number}
+     */
+    self._rateAnchor = 0;
+
+    /**
+     * in fixed-rate mode, the slot the next (or current) invocation is
+     * scheduled for.
+     * @private
+     * @type {Number}
+     */
+    self._rateSlot = 0;
+
+    /**
+     * with the `catch-up` overrun policy, the number of missed slots still to
+     * be caught up on.
+     * @private
+     * @type {Number}
+     */
+    self._backlog = 0;
+
     /**
      * boolean flag set when we are waiting for user supplied function to
      * complete. technically we should know this if self._nextHandlerId had
@@ -130,6 +427,66 @@ function Reissue(opts) {
      */
     self._inUserFunc = false;
 
+    /**
+     * flag set when the current invocation exceeded the timeout.
+     * @private
+     * @type {Boolean}
+     */
+    self._timedOut = false;
+
+    /**
+     * incrementing id of the current invocation. used to ignore completions
+     * of invocations that are no longer in flight.
+     * @private
+     * @type {Number}
+     */
+    self._invocationId = 0;
+
+    /**
+     * pending stop() calls, waiting on the current invocation to complete.
+     * @private
+     * @type {Array}
+     */
+    self._stopWaiters = [];
+
+    /**
+     * pending trigger() calls waiting on the current invocation.
+     * @private
+     * @type {Array}
+     */
+    self._triggerWaiters = [];
+
+    /**
+     * pending trigger() calls waiting on a follow-up invocation, queued while
+     * an invocation was in flight.
+     * @private
+     * @type {Array}
+     */
+    self._triggerQueue = [];
+
+    /**
+     * pending next() calls, waiting on the next invocation to complete.
+     * @private
+     * @type {Array}
+     */
+    self._nextWaiters = [];
+
+    /**
+     * consumers of the handler's results, created by iterating over the
+     * handler or by toStream().
+     * @private
+     * @type {Array}
+     */
+    self._consumers = [];
+
+    /**
+     * true if the next invocation is held off until a consumer pulls the
+     * last value.
+     * @private
+     * @type {Boolean}
+     */
+    self._held = false;
+
     /**
      * setTimeout handler of next invocation
      * @private
@@ -144,152 +501,1811 @@ function Reissue(opts) {
      * @type {Function}
      */
     self._timeoutHandlerId = null;
-}
-util.inherits(Reissue, events.EventEmitter);
 
-//------------------------------------------------------------------------------
-// private methods
-//------------------------------------------------------------------------------
+    /**
+     * pool ticket of the next invocation, while it waits for a slot.
+     * @private
+     * @type {Object}
+     */
+    self._poolTicket = null;
 
-/**
- * run the function.
- * @private
- * @method _execute
- * @return {undefined}
- */
-Reissue.prototype._execute = function _execute() {
-    const self = this;
+    /**
+     * true while the next invocation waits for the lock.
+     * @private
+     * @type {Boolean}
+     */
+    self._lockPending = false;
 
-    // start invocation timer
-    self._startTime = Date.now();
-    // set flag so we know we're currently in user supplied func
-    self._inUserFunc = true;
-    // execute their func on a setImmediate, such that we can schedule the
-    // timeout first. to be clear though, user func could be sync and our
-    // timeout may never fire.
-    setImmediate(function _executeImmediately() {
-        self._func.apply(self._funcContext, self._funcArgs);
-    });
+    /**
+     * incrementing id of lock requests. used to ignore responses to requests
+     * that were cancelled.
+     * @private
+     * @type {Number}
+     */
+    self._lockRequestId = 0;
 
-    // if timeout option is specified, schedule one here. basically, we
-    // execute the next invocation immediately above, then schedule a
-    // timeout handler, so we basically have two set timeout functions
-    // being scheduled.
-    if (self._timeoutMs !== null) {
-        // assign timeout to self so that we can cancel it if we complete
-        // on time.
-        self._timeoutHandlerId = setTimeout(
-            bind(self._onTimeout, self),
-            self._timeoutMs
-        );
-        if (self._unref === true) {
-            self._timeoutHandlerId.unref();
-        }
-    }
-};
+    /**
+     * true if the handler believes it holds the lease, in which case the
+     * lease is renewed rather than acquired.
+     * @private
+     * @type {Boolean}
+     */
+    self._lockHeld = false;
 
-/**
- * callback on completion of user supplied function. this is where we determine
+    /**
+     * true while the next invocation waits for opts.shouldRun to settle.
+     * @private
+     * @type {Boolean}
+     */
+    self._checkPending = false;
+
+    /**
+     * incrementing id of opts.shouldRun checks. used to ignore checks that
+     * were cancelled.
+     * @private
+     * @type {Number}
+     */
+    self._checkId = 0;
+
+    /**
+     * the `lastStartTime` and `lastEndTime` last saved to the store.
+     * @private
+     * @type {Object}
+     */
+    self._storeState = null;
+
+    /**
+     * true while start() waits for the saved state to be loaded.
+     * @private
+     * @type {Boolean}
+     */
+    self._loading = false;
+
+    /**
+     * incrementing id of loads. used to ignore loads that were cancelled.
+     * @private
+     * @type {Number}
+     */
+    self._loadId = 0;
+
+    /**
+     * true while saving to the store. saves are made one at a time, so that
+     * an earlier save can never overwrite a later one.
+     * @private
+     * @type {Boolean}
+     */
+    self._saving = false;
+
+    /**
+     * true if the state changed while saving, and needs saving again.
+     * @private
+     * @type {Boolean}
+     */
+    self._savePending = false;
+
+    /**
+     * releases the pool slot held by the current invocation.
+     * @private
+     * @type {Function}
+     */
+    self._poolRelease = null;
+
+    /**
+     * pool slots held by abandoned invocations, by invocation id, with their
+     * release function and grace timer. an abandoned invocation keeps its
+     * slot until it completes, or until the grace period runs out, so that
+     * the pool's concurrency holds for calls still running, without letting
+     * a call that never completes hold on to its slot for good.
+     * @private
+     * @type {Map}
+     */
+    self._abandonedSlots = new Map();
+
+    /**
+     * AbortController for the current invocation, if opts.abortSignal is set.
+     * @private
+     * @type {AbortController}
+     */
+    self._abortController = null;
+}
+Object.setPrototypeOf(Reissue.prototype, EventEmitter.prototype);
+
+//------------------------------------------------------------------------------
+// private methods
+//------------------------------------------------------------------------------
+
+/**
+ * run the function, once the lease is acquired or renewed if using a lock.
+ * without the lease, the invocation is skipped.
+ * @private
+ * @method _acquire
+ * @return {undefined}
+ */
+Reissue.prototype._acquire = function _acquire() {
+    const self = this;
+
+    if (self._lock === null) {
+        self._acquireSlot();
+        return;
+    }
+
+    const lease = self._lock;
+    const requestId = ++self._lockRequestId;
+    const method = self._lockHeld === true ? 'renew' : 'acquire';
+
+    self._lockPending = true;
+    lease.adapter[method](lease.key, lease.owner, lease.ttl, function _onLock(
+        err,
+        held
+    ) {
+        const acquired = !err && held === true;
+
+        // the request was cancelled by stop() or pause(). if the lease was
+        // acquired anyway, and we've stopped since, give it back.
+        if (requestId !== self._lockRequestId) {
+            self._lockHeld = self._lockHeld || acquired;
+
+            if (self._active === false) {
+                self._releaseLock();
+            }
+            return;
+        }
+
+        self._lockPending = false;
+        self._lockHeld = acquired;
+
+        if (acquired === true) {
+            self._acquireSlot();
+        } else {
+            self._skip(
+                err ? { reason: 'lock', error: err } : { reason: 'lock' }
+            );
+        }
+    });
+};
+
+/**
+ * give up the lease, if held. a failure to release is ignored, the lease
+ * expires on its own.
+ * @private
+ * @method _releaseLock
+ * @return {undefined}
+ */
+Reissue.prototype._releaseLock = function _releaseLock() {
+    const self = this;
+
+    if (self._lockHeld === false) {
+        return;
+    }
+
+    self._lockHeld = false;
+    self._lock.adapter.release(
+        self._lock.key,
+        self._lock.owner,
+        function _onRelease() {
+            // nothing to do, see above
+        }
+    );
+};
+
+/**
+ * save changes to the last run to the store, if using one. a failure to save
+ * is ignored, the next save tries again.
+ * @private
+ * @method _persist
+ * @param {Object} changes the changed `lastStartTime` or `lastEndTime`
+ * @return {undefined}
+ */
+Reissue.prototype._persist = function _persist(changes) {
+    const self = this;
+
+    if (self._store === null) {
+        return;
+    }
+
+    self._storeState = Object.assign(
+        { lastStartTime: null, lastEndTime: null },
+        self._storeState,
+        changes
+    );
+
+    if (self._saving === true) {
+        self._savePending = true;
+        return;
+    }
+
+    self._saving = true;
+    self._store.save(self.name, self._storeState, function _onSave() {
+        self._saving = false;
+
+        if (self._savePending === true) {
+            self._savePending = false;
+            self._persist({});
+        }
+    });
+};
+
+/**
+ * create a consumer of the handler's results, and start the handler if it
+ * isn't active yet.
+ * @private
+ * @method _consume
+ * @return {Consumer} a Consumer object
+ */
+Reissue.prototype._consume = function _consume() {
+    const self = this;
+    const created = new consumer.Consumer(self);
+
+    self._consumers.push(created);
+
+    if (self._active === false && self._inUserFunc === false) {
+        self.start();
+    }
+
+    return created;
+};
+
+/**
+ * remove a consumer. if the next invocation was held off for it, schedule it.
+ * @private
+ * @method _removeConsumer
+ * @param {Consumer} removed the consumer
+ * @return {undefined}
+ */
+Reissue.prototype._removeConsumer = function _removeConsumer(removed) {
+    const self = this;
+
+    self._consumers = self._consumers.filter(function _isOther(other) {
+        return other !== removed;
+    });
+    self._release();
+};
+
+/**
+ * returns true if any consumer has a value waiting to be pulled.
+ * @private
+ * @method _isFull
+ * @return {Boolean}
+ */
+Reissue.prototype._isFull = function _isFull() {
+    return this._consumers.some(function _isConsumerFull(other) {
+        return other.isFull();
+    });
+};
+
+/**
+ * schedule the next invocation, if it was held off until consumers pulled
+ * their values, and they have. if the next invocation came due in the
+ * meantime, it runs right away.
+ * @private
+ * @method _release
+ * @return {undefined}
+ */
+Reissue.prototype._release = function _release() {
+    const self = this;
+
+    if (self._held === false || self._isFull() === true) {
+        return;
+    }
+
+    self._held = false;
+    self._schedule(Math.max(0, self._nextRunAt - self._clock.now()));
+};
+
+/**
+ * skip the invocation that was due, and schedule the next one. trigger()
+ * calls waiting on the skipped invocation are rejected.
+ * @private
+ * @method _skip
+ * @param {Object} info the payload of the `skipped` event
+ * @return {undefined}
+ */
+Reissue.prototype._skip = function _skip(info) {
+    const self = this;
+    const now = self._clock.now();
+    const delay = self._hasSlots()
+        ? self._nextSlot(now) - now
+        : self._callInterval(0, null, undefined, 'skipped');
+
+    const triggerWaiters = self._triggerQueue;
+    self._triggerQueue = [];
+    triggerWaiters.forEach(function _rejectWaiter(waiter) {
+        waiter.reject(
+            new Error('triggered invocation skipped (' + info.reason + ')')
+        );
+    });
+
+    if (delay === null) {
+        self._stop('interval');
+    } else if (self._until !== null && now + delay > self._until) {
+        self._stop('deadline');
+    } else {
+        self._schedule(delay);
+    }
+
+    // emit after scheduling, so that calling stop() or pause() from a
+    // listener works as usual.
+    self._stats.skip();
+    self.emit('skipped', info);
+};
+
+/**
+ * run the function, once a slot is free if sharing a pool. time spent waiting
+ * for a slot is recorded separately, and doesn't count towards the duration
+ * or timeout of the invocation.
+ * @private
+ * @method _acquireSlot
+ * @return {undefined}
+ */
+Reissue.prototype._acquireSlot = function _acquireSlot() {
+    const self = this;
+
+    if (self._pool === null) {
+        self._check();
+        return;
+    }
+
+    const waitStart = self._clock.now();
+    let granted = false;
+    const ticket = self._pool.acquire(self._priority, function _onSlot(
+        release
+    ) {
+        granted = true;
+        self._poolTicket = null;
+        self._poolRelease = release;
+        self._stats.wait(self._clock.now() - waitStart);
+        self._check();
+    });
+
+    if (granted === false) {
+        self._poolTicket = ticket;
+    }
+};
+
+/**
+ * run the function, unless opts.shouldRun returns false, or a promise that
+ * resolves to false, in which case the invocation is skipped. if the
+ * predicate throws or rejects, the invocation is skipped as well.
+ * @private
+ * @method _check
+ * @return {undefined}
+ */
+Reissue.prototype._check = function _check() {
+    const self = this;
+
+    if (self._shouldRun === null) {
+        self._execute();
+        return;
+    }
+
+    const checkId = ++self._checkId;
+    let ret;
+
+    try {
+        ret = self._shouldRun();
+    } catch (err) {
+        self._onCheck(checkId, err, false);
+        return;
+    }
+
+    if (ret && typeof ret.then === 'function') {
+        self._checkPending = true;
+        ret.then(
+            function _onResolve(value) {
+                self._onCheck(checkId, null, value);
+            },
+            function _onReject(err) {
+                self._onCheck(
+                    checkId,
+                    err || new Error('shouldRun rejected without an error'),
+                    false
+                );
+            }
+        );
+        return;
+    }
+
+    self._onCheck(checkId, null, ret);
+};
+
+/**
+ * run or skip the invocation, once opts.shouldRun has settled.
+ * @private
+ * @method _onCheck
+ * @param {Number} checkId id of the check
+ * @param {Error} err the error thrown by the predicate, or null
+ * @param {*} value the value returned by the predicate
+ * @return {undefined}
+ */
+Reissue.prototype._onCheck = function _onCheck(checkId, err, value) {
+    const self = this;
+
+    // the check was cancelled by stop() or pause().
+    if (checkId !== self._checkId) {
+        return;
+    }
+
+    self._checkPending = false;
+
+    if (!err && value !== false) {
+        self._execute();
+        return;
+    }
+
+    // don't hold on to the pool slot while waiting for the next invocation.
+    self._releaseSlot();
+    self._skip(
+        err ? { reason: 'shouldRun', error: err } : { reason: 'shouldRun' }
+    );
+};
+
+/**
+ * stop waiting for the lock, a pool slot or opts.shouldRun, if waiting.
+ * @private
+ * @method _cancelAcquire
+ * @return {Boolean} true if the handler was waiting
+ */
+Reissue.prototype._cancelAcquire = function _cancelAcquire() {
+    const self = this;
+
+    if (self._checkPending === true) {
+        self._checkPending = false;
+        self._checkId += 1;
+        self._releaseSlot();
+        return true;
+    }
+
+    if (self._lockPending === true) {
+        self._lockPending = false;
+        self._lockRequestId += 1;
+        return true;
+    }
+
+    if (self._poolTicket === null) {
+        return false;
+    }
+
+    self._pool.cancel(self._poolTicket);
+    self._poolTicket = null;
+    return true;
+};
+
+/**
+ * returns true if the next invocation is due, and waiting for the lock, a
+ * pool slot or opts.shouldRun.
+ * @private
+ * @method _isQueued
+ * @return {Boolean}
+ */
+Reissue.prototype._isQueued = function _isQueued() {
+    return (
+        this._lockPending === true ||
+        this._poolTicket !== null ||
+        this._checkPending === true
+    );
+};
+
+/**
+ * give back the pool slot held by the current invocation, if any.
+ * @private
+ * @method _releaseSlot
+ * @return {undefined}
+ */
+Reissue.prototype._releaseSlot = function _releaseSlot() {
+    const self = this;
+
+    if (self._poolRelease !== null) {
+        const release = self._poolRelease;
+        self._poolRelease = null;
+        release();
+    }
+};
+
+/**
+ * keep the pool slot held by the current invocation, if any, since it is
+ * about to be abandoned. the slot is given back once the invocation
+ * completes, or once the grace period runs out, whichever comes first.
+ * @private
+ * @method _abandonSlot
+ * @param {Number} graceMs how long to keep the slot for, at most
+ * @return {undefined}
+ */
+Reissue.prototype._abandonSlot = function _abandonSlot(graceMs) {
+    const self = this;
+    const invocationId = self._invocationId;
+
+    if (self._poolRelease === null) {
+        return;
+    }
+
+    const slot = {
+        release: self._poolRelease,
+        graceHandlerId: null
+    };
+    self._poolRelease = null;
+    self._abandonedSlots.set(invocationId, slot);
+
+    // the grace timer only exists for the sake of the pool, it should never
+    // keep the process alive.
+    slot.graceHandlerId = self._clock.setTimeout(function _graceExpired() {
+        self._releaseAbandonedSlot(invocationId);
+    }, graceMs);
+    clock.unref(slot.graceHandlerId);
+};
+
+/**
+ * give back the pool slot kept by an abandoned invocation, if any.
+ * @private
+ * @method _releaseAbandonedSlot
+ * @param {Number} invocationId id of the abandoned invocation
+ * @return {undefined}
+ */
+Reissue.prototype._releaseAbandonedSlot = function _releaseAbandonedSlot(
+    invocationId
+) {
+    const self = this;
+    const slot = self._abandonedSlots.get(invocationId);
+
+    if (slot) {
+        self._abandonedSlots.delete(invocationId);
+        self._clock.clearTimeout(slot.graceHandlerId);
+        slot.release();
+    }
+};
+
+/**
+ * run the function.
+ * @private
+ * @method _execute
+ * @return {undefined}
+ */
+Reissue.prototype._execute = function _execute() {
+    const self = this;
+
+    // start invocation timer
+    self._startTime = self._clock.now();
+    self._stats.start(self._startTime);
+    self._persist({ lastStartTime: self._startTime });
+    // create the signal for this invocation up front, so that a stop() before
+    // the func runs still aborts it.
+    if (self._abortSignal === true) {
+        self._abortController = new AbortController();
+    }
+    // set flag so we know we're currently in user supplied func
+    self._inUserFunc = true;
+    self._timedOut = false;
+    self._invocationId += 1;
+    self._runs += 1;
+    const invocationId = self._invocationId;
+    // any queued up trigger() calls are satisfied by this invocation.
+    self._triggerWaiters = self._triggerQueue;
+    self._triggerQueue = [];
+
+    // if the circuit is open, invocations are only ever scheduled once the
+    // cool-down has passed. this is the trial run.
+    if (self._breaker !== null && self._breaker.trial() !== null) {
+        self.emit('half-open');
+    }
+    // execute their func on a setImmediate, such that we can schedule the
+    // timeout first. to be clear though, user func could be sync and our
+    // timeout may never fire.
+    self._clock.setImmediate(function _executeImmediately() {
+        self._invoke(invocationId);
+    });
+
+    // if timeout option is specified, schedule one here. basically, we
+    // execute the next invocation immediately above, then schedule a
+    // timeout handler, so we basically have two set timeout functions
+    // being scheduled.
+    if (self._timeoutMs !== null) {
+        // assign timeout to self so that we can cancel it if we complete
+        // on time.
+        self._timeoutHandlerId = self._clock.setTimeout(
+            bind(self._onTimeout, self),
+            self._timeoutMs
+        );
+        if (self._unref === true) {
+            clock.unref(self._timeoutHandlerId);
+        }
+    }
+};
+
+/**
+ * invoke the user supplied function. the function may either call the
+ * callback appended to its arguments, or return a promise (thenable), but not
+ * both. whichever completion style is used settles the invocation via _done.
+ * @private
+ * @method _invoke
+ * @param {Number} invocationId id of the invocation
+ * @return {undefined}
+ */
+Reissue.prototype._invoke = function _invoke(invocationId) {
+    const self = this;
+    let calledBack = false;
+    let returnedPromise = false;
+    const args =
+        self._abortSignal === true
+            ? self._funcArgs.concat(self._abortController.signal)
+            : self._funcArgs;
+
+    self.emit('invoke', {
+        invocation: invocationId,
+        startTime: self._startTime
+    });
+
+    const ret = self._func.apply(
+        self._funcContext,
+        args.concat(function _callback(err, result) {
+            // if func already returned a promise, the promise is the source
+            // of truth for this invocation. calling back as well is misuse.
+            if (returnedPromise === true) {
+                self.emit('error', bothStylesError());
+                return;
+            }
+            // calling back more than once would schedule the next invocation
+            // more than once. only the first completion counts.
+            if (calledBack === true) {
+                self._misuse(
+                    invocationId,
+                    'callback of invocation ' +
+                        invocationId +
+                        ' called more than once'
+                );
+                return;
+            }
+            calledBack = true;
+            self._settle(invocationId, err, result);
+        })
+    );
+
+    if (isThenable(ret) === false) {
+        return;
+    }
+
+    // func called back synchronously and returned a promise. the invocation
+    // has already been settled by the callback.
+    if (calledBack === true) {
+        self.emit('error', bothStylesError());
+        return;
+    }
+
+    returnedPromise = true;
+    ret.then(
+        function _onFulfilled(result) {
+            self._settle(invocationId, null, result);
+        },
+        function _onRejected(err) {
+            // a promise rejected with a falsy value should still count as a
+            // failed invocation.
+            self._settle(
+                invocationId,
+                err || new Error('func returned a promise that rejected')
+            );
+        }
+    );
+};
+
+/**
+ * report a callback that was called more than once, or a completion of an
+ * invocation that is no longer in flight. the error is created here, so that
+ * its stack trace leads back to the offending call.
+ * @private
+ * @method _misuse
+ * @param {Number} invocationId id of the invocation
+ * @param {String} message the error message
+ * @return {undefined}
+ */
+Reissue.prototype._misuse = function _misuse(invocationId, message) {
+    const self = this;
+    const err = new Error(message);
+
+    self.emit('misuse', err, {
+        invocation: invocationId
+    });
+};
+
+/**
+ * settle an invocation. completions of invocations that are no longer in
+ * flight, e.g., because they were abandoned by a forced stop or by
+ * timeoutPolicy 'abandon', release their pool slot and are reported as
+ * misuse, but are otherwise ignored.
+ * @private
+ * @method _settle
+ * @param {Number} invocationId id of the invocation
+ * @param {Object} err an error returned by user function
+ * @param {*} [result] the result returned by user function
+ * @return {undefined}
+ */
+Reissue.prototype._settle = function _settle(invocationId, err, result) {
+    const self = this;
+
+    if (invocationId !== self._invocationId || self._inUserFunc === false) {
+        self._releaseAbandonedSlot(invocationId);
+        self._misuse(
+            invocationId,
+            'invocation ' + invocationId + ' completed after it was abandoned'
+        );
+        return;
+    }
+
+    self._done(err, result);
+};
+
+/**
+ * callback on completion of user supplied function. this is where we determine
  * the timeout of the next invocation based on how long it took.
  * @private
  * @method _done
  * @param {Object} err an error returned by user function
+ * @param {*} [result] the result returned by user function
  * @return {undefined}
  */
-Reissue.prototype._done = function _done(err) {
+Reissue.prototype._done = function _done(err, result) {
     // calculate delta interval
     const self = this;
-    const elapsedTime = Date.now() - self._startTime;
-    const interval = self._interval(elapsedTime);
+    const now = self._clock.now();
+    const elapsedTime = now - self._startTime;
+    // count this invocation's failure first, so that the interval function
+    // sees it.
+    self._failures = err ? self._failures + 1 : 0;
+    const next = self._nextDelay(now, elapsedTime, err, result);
+    // the interval function asked to stop.
+    const finished = next.delay === null;
+    const info = {
+        invocation: self._invocationId,
+        startTime: self._startTime,
+        duration: elapsedTime
+    };
+    let timeToInvocation = finished ? 0 : next.delay;
+    // next() calls made by listeners below wait for the next invocation.
+    const nextWaiters = self._nextWaiters;
+    self._nextWaiters = [];
+
+    self._stats.end(now, elapsedTime, err);
+    self._persist({ lastEndTime: now });
+
+    if (err) {
+        // if backing off, wait at least as long as the backoff delay.
+        if (self._backoff !== null) {
+            timeToInvocation = Math.max(timeToInvocation, self._backoff.fail());
+        }
+    } else if (self._backoff !== null) {
+        self._backoff.succeed();
+    }
+
+    // invocations that timed out count as failures towards the circuit
+    // breaker, even if they eventually succeeded.
+    let circuitChange = null;
+
+    if (self._breaker !== null) {
+        circuitChange =
+            err || self._timedOut === true
+                ? self._breaker.fail(now)
+                : self._breaker.succeed();
+        timeToInvocation = self._circuitDelay(now, timeToInvocation);
+    }
+
+    // slots passed while waiting out the backoff delay or the cool-down are
+    // skipped on purpose, rather than missed. they are neither caught up on
+    // nor reported once the next invocation completes.
+    if (
+        finished === false &&
+        timeToInvocation > next.delay &&
+        self._hasSlots() === true
+    ) {
+        self._passSlots(now + timeToInvocation);
+    }
+
+    if (!err) {
+        self.lastResult = result;
+    }
+
+    // re-emit error. do this before leaving the user supplied func, so that
+    // calling stop() from an error listener is handled like a stop() during
+    // the invocation. a listener that throws, e.g., an error event without a
+    // listener, must not leave the invocation in flight though, so wrap up
+    // first and rethrow after.
+    let thrown = null;
+    // an error thrown by opts.stopWhen, emitted once we've stopped.
+    let predicateError = null;
+
+    try {
+        self._emitCompletion(err, result, info, {
+            delay: finished ? null : timeToInvocation,
+            missed: next.missed,
+            circuitChange: circuitChange
+        });
+    } catch (e) {
+        thrown = e;
+    }
 
     // we're out of user supplied func now
     self._inUserFunc = false;
+    self._abortController = null;
+    self._releaseSlot();
     // clear out the handler id
     self._nextHandlerId = null;
 
-    // re-emit error
-    if (err) {
-        self.emit('error', err);
+    // settle any trigger() and next() calls waiting on this invocation
+    const triggerWaiters = self._triggerWaiters.concat(nextWaiters);
+    self._triggerWaiters = [];
+    triggerWaiters.forEach(function _settleWaiter(waiter) {
+        if (err) {
+            waiter.reject(err);
+        } else {
+            waiter.resolve(result);
+        }
+    });
+
+    // if trigger() was called during this invocation, run the follow-up
+    // invocation right away, or once the circuit allows it.
+    if (self._triggerQueue.length > 0) {
+        timeToInvocation = self._circuitDelay(now, 0);
     }
 
     // in every other case, we're fine, since we've finished before the
     // timeout event has occurred. call _internalDone where we will clear
     // the timeout event.
-    return _internalDone();
+    _internalDone();
+
+    if (predicateError !== null) {
+        self.emit(
+            'error',
+            predicateError,
+            Object.assign({ attempt: self._attempt(), delay: null }, info)
+        );
+    }
+
+    if (thrown !== null) {
+        throw thrown;
+    }
+    return undefined;
 
     // common completion function called by forked code above
     function _internalDone() {
         // clear any timeout handlers
         if (self._timeoutHandlerId) {
-            clearTimeout(self._timeoutHandlerId);
+            self._clock.clearTimeout(self._timeoutHandlerId);
             self._timeoutHandlerId = null;
         }
 
         // if user called stop() sometime during last invocation, we're done!
         // don't queue up another invocation.
         if (self._active === false) {
-            self._stop();
+            self._stop('manual');
+            return;
+        }
+
+        // if any of the limits have been reached, stop on our own. a
+        // stopWhen predicate that throws stops the handler too, rather than
+        // leaving it without a next invocation.
+        let limitReason;
+
+        try {
+            limitReason = finished
+                ? 'interval'
+                : self._limitReached(err, result, now + timeToInvocation);
+        } catch (e) {
+            predicateError = e;
+            limitReason = 'predicate';
+        }
+
+        if (limitReason !== null) {
+            self._stop(limitReason);
+        } else if (self._paused === true) {
+            // if user called pause(), remember when the next invocation would
+            // have been, so resume() can pick up from there.
+            self._nextRunAt = now + timeToInvocation;
+            self._pausedRemaining = timeToInvocation;
+        } else if (self._isFull() === true) {
+            // a consumer hasn't pulled the last value yet. _release schedules
+            // the next invocation once it does.
+            self._held = true;
+            self._nextRunAt = now + timeToInvocation;
         } else {
-            // start invocation immediately if: the elapsedTime is greater than
-            // the interval, which means the last execution took longer than
-            // the interval itself.  otherwise, subtract the time the previous
-            // invocation took.
-            const timeToInvocation =
-                elapsedTime >= interval ? 0 : interval - elapsedTime;
-
-            self._nextHandlerId = setTimeout(function _nextInvocation() {
-                self._execute();
-            }, timeToInvocation);
-
-            if (self._unref === true) {
-                self._nextHandlerId.unref();
-            }
+            self._schedule(timeToInvocation);
+        }
+    }
+};
+
+/**
+ * emit the events describing a completed invocation.
+ * @private
+ * @method _emitCompletion
+ * @param {Object} err an error returned by the invocation
+ * @param {*} result the result returned by the invocation
+ * @param {Object} info the `invocation`, `startTime` and `duration`
+ * @param {Object} next the `delay` before the next invocation, or null, the
+ * number of slots `missed`, and the `circuitChange`, or null
+ * @return {undefined}
+ */
+Reissue.prototype._emitCompletion = function _emitCompletion(
+    err,
+    result,
+    info,
+    next
+) {
+    const self = this;
+
+    if (err) {
+        self.emit(
+            'error',
+            err,
+            Object.assign(
+                {
+                    attempt: self._attempt(),
+                    delay: next.delay
+                },
+                info
+            )
+        );
+    } else {
+        self.emit('success', Object.assign({ result: result }, info));
+        self.emit('result', result);
+    }
+
+    self.emit(
+        'complete',
+        Object.assign(
+            {
+                delay: next.delay,
+                error: err || null,
+                result: result
+            },
+            info
+        )
+    );
+
+    if (next.missed > 0) {
+        self.emit('missed', next.missed);
+    }
+
+    if (next.circuitChange !== null) {
+        self.emit(
+            next.circuitChange === 'closed' ? 'close' : next.circuitChange
+        );
+    }
+};
+
+/**
+ * compute the delay before the next invocation, applying the overrun policy if
+ * the invocation that just completed ran past one or more slots. with an
+ * interval, slots are multiples of the interval after the invocation started.
+ * @private
+ * @method _nextDelay
+ * @param {Number} now current time in ms
+ * @param {Number} elapsedTime duration of the invocation in ms
+ * @param {Object} err an error returned by the invocation
+ * @param {*} result the result returned by the invocation
+ * @return {Object} an object with the `delay` in ms, or null if the interval
+ * function asked to stop, and the number of slots `missed` for good
+ */
+Reissue.prototype._nextDelay = function _nextDelay(
+    now,
+    elapsedTime,
+    err,
+    result
+) {
+    const self = this;
+    let interval = null;
+
+    if (self._hasSlots() === false) {
+        interval = self._callInterval(elapsedTime, err, result);
+
+        if (interval === null) {
+            return { delay: null, missed: 0 };
+        }
+    }
+
+    const due = self._dueSlots(now, elapsedTime, interval);
+
+    if (self._overrunPolicy === 'catch-up') {
+        const backlog = self._backlog + due;
+        const missed = Math.max(0, backlog - self._maxCatchUp);
+        self._backlog = backlog - missed;
+
+        if (self._backlog > 0) {
+            self._backlog -= 1;
+            return { delay: 0, missed: missed };
+        }
+    } else if (self._overrunPolicy === 'immediate' && due > 0) {
+        return { delay: 0, missed: due - 1 };
+    }
+
+    // wait for the next slot. any slots that passed while this invocation was
+    // running are skipped.
+    return {
+        delay:
+            interval === null
+                ? self._nextSlot(now) - now
+                : Math.max(0, (due + 1) * interval - elapsedTime),
+        missed: due
+    };
+};
+
+/**
+ * call the interval function with the context of the last invocation. when
+ * there is no invocation that just completed, i.e., after a skipped
+ * invocation or when restoring the schedule from the store, the context is
+ * marked as such, and has no error or result.
+ * @private
+ * @method _callInterval
+ * @param {Number} elapsedTime duration of the last invocation in ms
+ * @param {Object} err an error returned by the last invocation
+ * @param {*} [result] the result returned by the last invocation
+ * @param {String} [marker] `skipped` or `restored`, if not called after an
+ * invocation completed
+ * @return {Number} the interval in ms, or null if the interval function
+ * returned null or `STOP`
+ */
+Reissue.prototype._callInterval = function _callInterval(
+    elapsedTime,
+    err,
+    result,
+    marker
+) {
+    const self = this;
+    const interval = self._interval(elapsedTime, {
+        elapsedTime: elapsedTime,
+        error: err || null,
+        result: result,
+        invocation: self._invocationId,
+        failures: self._failures,
+        skipped: marker === 'skipped',
+        restored: marker === 'restored'
+    });
+
+    return interval === null || interval === STOP ? null : interval;
+};
+
+/**
+ * count the slots that passed while the invocation that just completed was
+ * running. with cron or fixed-rate schedules, the current slot is moved up to
+ * the last of them.
+ * @private
+ * @method _dueSlots
+ * @param {Number} now current time in ms
+ * @param {Number} elapsedTime duration of the invocation in ms
+ * @param {Number} interval the interval, or null when using slots
+ * @return {Number} the number of slots
+ */
+Reissue.prototype._dueSlots = function _dueSlots(now, elapsedTime, interval) {
+    const self = this;
+
+    if (interval !== null) {
+        return interval > 0 ? Math.floor(elapsedTime / interval) : 0;
+    }
+
+    return self._passSlots(now);
+};
+
+/**
+ * with cron or fixed-rate schedules, move the current slot up to the last
+ * slot at or before the given time.
+ * @private
+ * @method _passSlots
+ * @param {Number} until a timestamp in ms
+ * @return {Number} the number of slots passed
+ */
+Reissue.prototype._passSlots = function _passSlots(until) {
+    const self = this;
+
+    if (self._cron !== null) {
+        const times = self._cron.between(self._cronSlot, until);
+
+        if (times.length > 0) {
+            self._cronSlot = times[times.length - 1];
+        }
+        return times.length;
+    }
+
+    const rate = self._interval();
+    const due =
+        Math.floor((until - self._rateAnchor) / rate) -
+        Math.round((self._rateSlot - self._rateAnchor) / rate);
+
+    if (due > 0) {
+        self._rateSlot += due * rate;
+    }
+    return Math.max(0, due);
+};
+
+/**
+ * the number of consecutive failed invocations, as reported by the error
+ * event.
+ * @private
+ * @method _attempt
+ * @return {Number}
+ */
+Reissue.prototype._attempt = function _attempt() {
+    const self = this;
+
+    return self._backoff !== null ? self._backoff.attempt() : self._failures;
+};
+
+/**
+ * check if any of the limits on the handler have been reached. throws if
+ * opts.stopWhen throws.
+ * @private
+ * @method _limitReached
+ * @param {Object} err an error returned by the last invocation
+ * @param {*} result the result returned by the last invocation
+ * @param {Number} nextRunAt time the next invocation would run at
+ * @return {String} the reason to stop, or null
+ */
+Reissue.prototype._limitReached = function _limitReached(
+    err,
+    result,
+    nextRunAt
+) {
+    const self = this;
+
+    if (self._maxInvocations !== null && self._runs >= self._maxInvocations) {
+        return 'max-invocations';
+    }
+
+    if (self._stopWhen !== null && self._stopWhen(err, result) === true) {
+        return 'predicate';
+    }
+
+    if (self._until !== null && nextRunAt > self._until) {
+        return 'deadline';
+    }
+
+    return null;
+};
+
+/**
+ * compute the delay before the first invocation when starting afresh.
+ * @private
+ * @method _firstDelay
+ * @param {Number} now current time in ms
+ * @param {Number} [delay] the delay passed to start()
+ * @return {Number} the delay in ms, or null to run synchronously
+ */
+Reissue.prototype._firstDelay = function _firstDelay(now, delay) {
+    const self = this;
+
+    // when scheduling via cron, the first invocation always waits for the
+    // first slot after the (optional) delay. otherwise, can't to truthy check
+    // since 0 is falsy. if a delay is passed in, then schedule it. if not,
+    // it's synchronous and you can't stop it.
+    if (self._cron !== null) {
+        self._cronSlot = 0;
+        return self._nextCronSlot(now + (delay || 0)) - now;
+    }
+
+    if (self._fixedRate === true) {
+        return self._startFixedRate(now, delay);
+    }
+
+    return typeof delay === 'number' ? delay : null;
+};
+
+/**
+ * compute the delay before the first invocation from the last run saved in
+ * the store, such that the schedule carries on where it left off. if the
+ * next invocation came due while the handler wasn't running, or the last
+ * invocation never completed, it runs right away.
+ * @private
+ * @method _savedDelay
+ * @param {Number} now current time in ms
+ * @param {Object} state the saved `lastStartTime` and `lastEndTime`
+ * @return {Number} the delay in ms
+ */
+Reissue.prototype._savedDelay = function _savedDelay(now, state) {
+    const self = this;
+    const lastStart = state.lastStartTime;
+    const completed =
+        typeof state.lastEndTime === 'number' && state.lastEndTime >= lastStart;
+    let due;
+
+    if (self._cron !== null) {
+        self._cronSlot = 0;
+        due = self._nextCronSlot(lastStart);
+    } else if (self._fixedRate === true) {
+        // without an anchor, slots stay aligned to the last invocation.
+        if (self._anchor !== null) {
+            self._rateAnchor = self._anchor;
+        } else {
+            self._rateAnchor = self._align === true ? 0 : lastStart;
+        }
+        self._rateSlot = -Infinity;
+        due = self._nextRateSlot(lastStart);
+    } else if (completed === true) {
+        // an interval function asking to stop is asked again after the
+        // invocation that runs right away.
+        const interval = self._callInterval(
+            state.lastEndTime - lastStart,
+            null,
+            undefined,
+            'restored'
+        );
+        due = interval === null ? now : lastStart + interval;
+    } else {
+        due = now;
+    }
+
+    if (completed === true && due > now) {
+        return due - now;
+    }
+
+    // the overdue invocation runs off-slot, and counts as the slot before it.
+    if (self._cron !== null) {
+        self._cronSlot = now;
+    } else if (self._fixedRate === true) {
+        const interval = self._interval();
+        self._rateSlot =
+            self._rateAnchor +
+            Math.floor((now - self._rateAnchor) / interval) * interval;
+    }
+    return 0;
+};
+
+/**
+ * schedule the first invocation after starting.
+ * @private
+ * @method _begin
+ * @param {Number} firstDelay the delay in ms, or null to run synchronously
+ * @return {undefined}
+ */
+Reissue.prototype._begin = function _begin(firstDelay) {
+    const self = this;
+    const now = self._clock.now();
+    // trigger() calls made while loading run right away.
+    let delay = self._triggerQueue.length > 0 ? 0 : firstDelay;
+
+    // if the circuit is still open from an earlier run, respect the cool-down.
+    if (self._circuitDelay(now, 0) > 0) {
+        delay = self._circuitDelay(now, delay || 0);
+    }
+
+    // if the first invocation would already be past the deadline, we're done
+    // before we even began.
+    if (self._until !== null && now + (delay || 0) > self._until) {
+        self._stop('deadline');
+    } else if (self._paused === true) {
+        // pause() was called while loading.
+        self._nextRunAt = now + (delay || 0);
+        self._pausedRemaining = delay || 0;
+    } else if (delay !== null) {
+        self._schedule(delay);
+    } else {
+        self._acquire();
+    }
+};
+
+/**
+ * stretch a delay before the next invocation, such that the next invocation
+ * doesn't happen before the circuit's cool-down has passed.
+ * @private
+ * @method _circuitDelay
+ * @param {Number} now current time in ms
+ * @param {Number} delay delay in ms before the next invocation
+ * @return {Number} delay in ms
+ */
+Reissue.prototype._circuitDelay = function _circuitDelay(now, delay) {
+    const self = this;
+    const remaining = self._breaker !== null ? self._breaker.remaining(now) : 0;
+
+    if (remaining <= delay) {
+        return delay;
+    }
+
+    // when scheduling via cron or at a fixed rate, wait for the first slot at
+    // or after the end of the cool-down.
+    if (self._hasSlots() === true) {
+        return self._nextSlot(now + remaining - 1) - now;
+    }
+
+    return remaining;
+};
+
+/**
+ * schedule the next invocation.
+ * @private
+ * @method _schedule
+ * @param {Number} delay delay in ms before the next invocation
+ * @return {undefined}
+ */
+Reissue.prototype._schedule = function _schedule(delay) {
+    const self = this;
+
+    self._nextRunAt = self._clock.now() + delay;
+    self._setTimer(delay);
+
+    // emit after scheduling, so that calling stop() or pause() from a
+    // listener works as usual.
+    self.emit('schedule', {
+        invocation: self._invocationId + 1,
+        delay: delay,
+        nextRunAt: self._nextRunAt
+    });
+};
+
+/**
+ * set the timer for the next invocation.
+ * @private
+ * @method _setTimer
+ * @param {Number} delay delay in ms before the next invocation
+ * @return {undefined}
+ */
+Reissue.prototype._setTimer = function _setTimer(delay) {
+    const self = this;
+
+    // delays too large for setTimeout are waited out in chunks. this can
+    // happen easily with cron schedules, e.g., once a month.
+    self._nextHandlerId = self._clock.setTimeout(function _nextInvocation() {
+        if (delay > MAX_TIMEOUT) {
+            self._setTimer(delay - MAX_TIMEOUT);
+        } else {
+            self._nextHandlerId = null;
+            self._acquire();
         }
+    }, Math.min(delay, MAX_TIMEOUT));
+
+    if (self._unref === true) {
+        clock.unref(self._nextHandlerId);
+    }
+};
+
+/**
+ * returns true if invocations are scheduled on cron or fixed-rate slots,
+ * rather than an interval after the previous invocation started.
+ * @private
+ * @method _hasSlots
+ * @return {Boolean}
+ */
+Reissue.prototype._hasSlots = function _hasSlots() {
+    return this._cron !== null || this._fixedRate === true;
+};
+
+/**
+ * compute the next cron or fixed-rate slot after the given time.
+ * @private
+ * @method _nextSlot
+ * @param {Number} after a timestamp in ms
+ * @return {Number} a timestamp in ms
+ */
+Reissue.prototype._nextSlot = function _nextSlot(after) {
+    const self = this;
+
+    return self._cron !== null
+        ? self._nextCronSlot(after)
+        : self._nextRateSlot(after);
+};
+
+/**
+ * compute the next fixed-rate slot and remember it. slots are the anchor plus
+ * any multiple of the interval. like cron slots, the slot is always after the
+ * slot of the current invocation.
+ * @private
+ * @method _nextRateSlot
+ * @param {Number} after a timestamp in ms
+ * @return {Number} a timestamp in ms
+ */
+Reissue.prototype._nextRateSlot = function _nextRateSlot(after) {
+    const self = this;
+    const interval = self._interval();
+    const slot =
+        self._rateAnchor +
+        (Math.floor((after - self._rateAnchor) / interval) + 1) * interval;
+
+    self._rateSlot = Math.max(slot, self._rateSlot + interval);
+    return self._rateSlot;
+};
+
+/**
+ * in fixed-rate mode, set up the slots when the handler is started.
+ * @private
+ * @method _startFixedRate
+ * @param {Number} now current time in ms
+ * @param {Number} [delay] the delay passed to start()
+ * @return {Number} the delay before the first invocation, or null to run it
+ * synchronously
+ */
+Reissue.prototype._startFixedRate = function _startFixedRate(now, delay) {
+    const self = this;
+    const first = now + (delay || 0);
+    const interval = self._interval();
+
+    // without an anchor, slots are aligned to the epoch when aligning, e.g.,
+    // every minute on :00, or to the first invocation otherwise.
+    if (self._anchor !== null) {
+        self._rateAnchor = self._anchor;
+    } else {
+        self._rateAnchor = self._align === true ? 0 : first;
+    }
+
+    if (self._align === true) {
+        self._rateSlot = -Infinity;
+        return self._nextRateSlot(first - 1) - now;
     }
+
+    // the first invocation runs off-slot, and counts as the slot before it.
+    self._rateSlot =
+        self._rateAnchor +
+        Math.floor((first - self._rateAnchor) / interval) * interval;
+    return typeof delay === 'number' ? delay : null;
+};
+
+/**
+ * compute the next cron slot and remember it. the slot is always after the
+ * slot of the current invocation, so that a timer firing slightly early can
+ * never cause the same slot to run twice.
+ * @private
+ * @method _nextCronSlot
+ * @param {Number} after a timestamp in ms
+ * @return {Number} a timestamp in ms
+ */
+Reissue.prototype._nextCronSlot = function _nextCronSlot(after) {
+    const self = this;
+    self._cronSlot = self._cron.next(Math.max(after, self._cronSlot));
+    return self._cronSlot;
 };
 
 /**
- * internal implementation of stop. clears all timeout handlers and emits the
- * stop event.
+ * internal implementation of stop. clears all timeout handlers, resolves any
+ * pending stop() calls and emits the stop event.
  * @private
  * @method _stop
+ * @param {String} reason why the handler stopped
+ * @param {Boolean} [forced] true if the current invocation was abandoned
+ * @returns {undefined}
+ */
+Reissue.prototype._stop = function _stop(reason, forced) {
+    const self = this;
+    const info = {
+        reason: reason,
+        forced: forced === true
+    };
+
+    // clear the next invocation if one exists
+    if (self._nextHandlerId) {
+        self._clock.clearTimeout(self._nextHandlerId);
+        self._nextHandlerId = null;
+    }
+    self._cancelAcquire();
+    self._releaseLock();
+
+    // ignore the saved state if still loading it.
+    if (self._loading === true) {
+        self._loading = false;
+        self._loadId += 1;
+    }
+
+    //  no need to clear timeout handlers, as they're already cleared
+    //  in _done or _forceStop before we get here.
+
+    self._active = false;
+    self._paused = false;
+    self._held = false;
+    self._nextRunAt = null;
+    self._pausedRemaining = null;
+
+    const waiters = self._stopWaiters;
+    self._stopWaiters = [];
+    waiters.forEach(function _resolveWaiter(waiter) {
+        if (waiter.deadlineHandlerId !== null) {
+            self._clock.clearTimeout(waiter.deadlineHandlerId);
+        }
+        waiter.resolve(info);
+    });
+
+    // reject trigger() calls whose invocation was abandoned, or never ran.
+    const triggerWaiters = self._triggerWaiters.concat(self._triggerQueue);
+    self._triggerWaiters = [];
+    self._triggerQueue = [];
+    triggerWaiters.forEach(function _rejectWaiter(waiter) {
+        waiter.reject(
+            new Error('handler stopped before triggered invocation completed')
+        );
+    });
+
+    const nextWaiters = self._nextWaiters;
+    self._nextWaiters = [];
+    nextWaiters.forEach(function _rejectWaiter(waiter) {
+        waiter.reject(
+            new Error('handler stopped before next invocation completed')
+        );
+    });
+
+    // emit stop, and we're done! the reason is kept on the handler as well.
+    self.stopReason = reason;
+    self.emit('stop', info);
+};
+
+/**
+ * called when the deadline passed to stop() is exceeded. abandons the current
+ * invocation, if it still hasn't completed, and stops right away. if the
+ * abandoned invocation completes later on, its completion is ignored. it
+ * keeps its pool slot until then, for another deadline at most.
+ * @private
+ * @method _forceStop
+ * @param {Number} deadline the deadline passed to stop()
  * @returns {undefined}
  */
-Reissue.prototype._stop = function _stop() {
+Reissue.prototype._forceStop = function _forceStop(deadline) {
     const self = this;
 
-    // clear the next invocation if one exists
-    if (self._nextHandlerId) {
-        clearTimeout(self._nextHandlerId);
-        self._nextHandlerId = null;
+    // invocation completed in the meantime, in which case we've stopped
+    // already.
+    if (self._inUserFunc === false) {
+        return;
     }
 
-    //  no need to clear timeout handlers, as they're already cleared
-    //  in _done before we get here.
+    self._inUserFunc = false;
+    self._abortController = null;
+    self._abandonSlot(deadline);
+
+    if (self._timeoutHandlerId) {
+        self._clock.clearTimeout(self._timeoutHandlerId);
+        self._timeoutHandlerId = null;
+    }
 
-    // emit stop, and we're done!
-    self.emit('stop');
+    self._stop('manual', true);
 };
 
 /**
  * called when the interval function "times out", or in other words takes
- * longer than then specified timeout interval. this blocks the next invocation
- * of the interval function until user calls the callback on the timeout
- * event.
+ * longer than then specified timeout interval. unless abandoning timed out
+ * invocations, this blocks the next invocation of the interval function until
+ * user calls the callback on the timeout event.
  * @private
  * @method _onTimeout
  * @return {undefined}
  */
 Reissue.prototype._onTimeout = function _onTimeout() {
     const self = this;
+    const message = 'invocation timed out after ' + self._timeoutMs + 'ms';
 
     // we might have called stop during current invocation. emit timeout event
     // only if we're still active.
     if (self._active === true) {
-        self.emit('timeout');
+        self._timedOut = true;
+        self._stats.timeout();
+        self._abort(message);
+        self.emit('timeout', {
+            invocation: self._invocationId,
+            startTime: self._startTime,
+            duration: self._clock.now() - self._startTime
+        });
+    }
+
+    // when abandoning, the invocation fails right away, even if stop() was
+    // called during it. its completion, if it ever comes, is ignored since
+    // the invocation is no longer in flight. check that a timeout listener
+    // didn't force a stop in the meantime. the function may well still be
+    // running, so its pool slot is kept until it completes, for another
+    // timeout at most.
+    if (self._abandonOnTimeout === true && self._inUserFunc === true) {
+        self._abandonSlot(self._timeoutMs);
+        self._done(new Error(message));
+    }
+};
+
+/**
+ * abort the signal of the current invocation, if there is one.
+ * @private
+ * @method _abort
+ * @param {String} reason message of the error used as abort reason
+ * @return {undefined}
+ */
+Reissue.prototype._abort = function _abort(reason) {
+    const self = this;
+
+    if (self._abortController !== null) {
+        self._abortController.abort(new Error(reason));
     }
 };
 
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * assert the options passed to the Reissue constructor.
+ * @private
+ * @function assertOptions
+ * @param {Object} opts an options object
+ * @return {undefined}
+ */
+function assertOptions(opts) {
+    assert.func(opts.func, 'func');
+    assert.optionalObject(opts.context, 'context');
+    assert.optionalArray(opts.args, 'args');
+    assert.optionalNumber(opts.timeout, 'timeout');
+    assert.optionalString(opts.timeoutPolicy, 'timeoutPolicy');
+    assert.optionalBool(opts.unref, 'unref');
+    assert.optionalObject(opts.backoff, 'backoff');
+    assert.optionalObject(opts.circuitBreaker, 'circuitBreaker');
+    assert.optionalNumber(opts.priority, 'priority');
+    assert.ok(
+        typeof opts.pool === 'undefined' || opts.pool instanceof Pool,
+        'pool must be created with createPool()'
+    );
+    assert.optionalString(opts.name, 'name');
+    assert.optionalBool(opts.abortSignal, 'abortSignal');
+    assert.optionalNumber(opts.maxInvocations, 'maxInvocations');
+    assert.ok(
+        typeof opts.maxInvocations === 'undefined' || opts.maxInvocations >= 1,
+        'maxInvocations must be >= 1'
+    );
+    assert.optionalFunc(opts.stopWhen, 'stopWhen');
+    assert.optionalFunc(opts.shouldRun, 'shouldRun');
+    assert.ok(
+        typeof opts.until === 'undefined' ||
+            typeof opts.until === 'number' ||
+            opts.until instanceof Date,
+        'until must be a number or a Date'
+    );
+    assert.ok(
+        opts.abortSignal !== true || typeof AbortController === 'function',
+        'abortSignal requires AbortController support'
+    );
+    assert.optionalString(opts.cron, 'cron');
+    assert.optionalString(opts.timezone, 'timezone');
+    assert.optionalString(opts.mode, 'mode');
+    assert.optionalObject(opts.lock, 'lock');
+    assert.optionalObject(opts.store, 'store');
+    assert.optionalString(opts.overrunPolicy, 'overrunPolicy');
+    assert.optionalNumber(opts.maxCatchUp, 'maxCatchUp');
+    assert.optionalBool(opts.align, 'align');
+    assert.ok(
+        typeof opts.anchor === 'undefined' ||
+            typeof opts.anchor === 'number' ||
+            opts.anchor instanceof Date,
+        'anchor must be a number or a Date'
+    );
+
+    if (opts.clock) {
+        clock.assertClock(opts.clock, 'clock');
+    }
+
+    if (opts.store) {
+        store.assertStore(opts.store, 'store');
+        assert.ok(typeof opts.name === 'string', 'store requires a name');
+    }
+
+    if (opts.lock) {
+        lock.assertAdapter(opts.lock.adapter, 'lock.adapter');
+        assert.optionalString(opts.lock.key, 'lock.key');
+        assert.optionalString(opts.lock.owner, 'lock.owner');
+        assert.optionalNumber(opts.lock.ttl, 'lock.ttl');
+        assert.ok(
+            typeof opts.lock.key === 'string' || typeof opts.name === 'string',
+            'lock requires a key or a name'
+        );
+    }
+
+    // assert options of different types. cron is an alternative to interval,
+    // exactly one of the two must be specified.
+    const typeofInterval = typeof opts.interval;
+
+    if (typeof opts.cron === 'string') {
+        assert.equal(
+            typeofInterval,
+            'undefined',
+            'cannot specify both interval and cron'
+        );
+    } else {
+        assert.equal(
+            typeofInterval === 'function' || typeofInterval === 'number',
+            true
+        );
+        assert.equal(
+            typeof opts.timezone,
+            'undefined',
+            'timezone is only valid with cron'
+        );
+    }
+
+    if (typeof opts.timeoutPolicy === 'string') {
+        assert.ok(
+            TIMEOUT_POLICIES.indexOf(opts.timeoutPolicy) !== -1,
+            'timeoutPolicy must be one of: ' + TIMEOUT_POLICIES.join(', ')
+        );
+    }
+
+    if (typeof opts.overrunPolicy === 'string') {
+        assert.ok(
+            OVERRUN_POLICIES.indexOf(opts.overrunPolicy) !== -1,
+            'overrunPolicy must be one of: ' + OVERRUN_POLICIES.join(', ')
+        );
+    }
+
+    // fixed-rate slots are multiples of a static interval.
+    if (typeof opts.mode === 'string') {
+        assert.ok(
+            MODES.indexOf(opts.mode) !== -1,
+            'mode must be one of: ' + MODES.join(', ')
+        );
+    }
+
+    if (opts.mode === 'fixed-rate') {
+        assert.equal(
+            typeofInterval,
+            'number',
+            'fixed-rate mode requires a numeric interval'
+        );
+    } else {
+        assert.ok(
+            typeof opts.anchor === 'undefined' &&
+                typeof opts.align === 'undefined',
+            'anchor and align are only valid with fixed-rate mode'
+        );
+    }
+}
+
+/**
+ * create the lease used with opts.lock, filling in defaults.
+ * @private
+ * @function createLease
+ * @param {Object} opts the lock options
+ * @param {String} [name] the name of the handler
+ * @return {Object} the `adapter`, and `key`, `owner` and `ttl` of the lease
+ */
+function createLease(opts, name) {
+    return {
+        adapter: opts.adapter,
+        key: opts.key || name,
+        // unique per handler, so that two handlers in the same process never
+        // share a lease.
+        owner: opts.owner || lock.createOwner(),
+        ttl: typeof opts.ttl === 'number' ? opts.ttl : 30000
+    };
+}
+
+/**
+ * convert an optional timestamp or Date to a timestamp.
+ * @private
+ * @function toTime
+ * @param {Number | Date} [value] a timestamp in ms, or a Date
+ * @return {Number} a timestamp in ms, or null
+ */
+function toTime(value) {
+    return typeof value === 'undefined' ? null : new Date(value).getTime();
+}
+
+/**
+ * returns the value if it is a number, or the fallback otherwise.
+ * @private
+ * @function numberOr
+ * @param {Number} [value] an optional number
+ * @param {*} fallback the fallback
+ * @return {*} the value or the fallback
+ */
+function numberOr(value, fallback) {
+    return typeof value === 'number' ? value : fallback;
+}
+
+/**
+ * returns true if the value looks like a promise.
+ * @private
+ * @function isThenable
+ * @param {*} value any value
+ * @return {Boolean}
+ */
+function isThenable(value) {
+    return (
+        value !== null &&
+        (typeof value === 'object' || typeof value === 'function') &&
+        typeof value.then === 'function'
+    );
+}
+
+/**
+ * create the error emitted when func both calls back and returns a promise.
+ * @private
+ * @function bothStylesError
+ * @return {Error}
+ */
+function bothStylesError() {
+    return new Error(
+        'func must either call the callback or return a promise, not both'
+    );
+}
+
 //------------------------------------------------------------------------------
 // public methods
 //------------------------------------------------------------------------------
@@ -302,7 +2318,8 @@ Reissue.prototype._onTimeout = function _onTimeout() {
  * @param {Number} [delay] an optional delay in ms before first invocation. if
  * no delay is provided, first invocation is synchronous (no setImmediate, no
  * setTimeout).  Note that `0` is explicitly a valid value, and will be passed
- * to setTimeout.
+ * to setTimeout. when using `cron`, the first invocation happens at the first
+ * matching time after the delay.
  * @return {undefined}
  */
 Reissue.prototype.start = function start(delay) {
@@ -310,84 +2327,647 @@ Reissue.prototype.start = function start(delay) {
 
     const self = this;
 
-    // before starting, see if reissue is already active. if so, throw an
+    // before starting, see if reissue is already active, or still waiting on
+    // an invocation to complete after stop() was called. if so, throw an
     // error.
-    if (self._active === true) {
+    if (self._active === true || self._inUserFunc === true) {
         throw new Error('cannot reissue, function already active!');
     }
 
     // set the flag and off we go!
     self._active = true;
+    self.stopReason = null;
+    self._runs = 0;
+    self._backlog = 0;
+    self.emit('start', {
+        startTime: self._clock.now()
+    });
 
-    // can't to truthy check since 0 is falsy. if a delay is passed in, then
-    // schedule it. otherwise, it's synchronous and you can't stop it.
-    if (typeof delay === 'number') {
-        self._nextHandlerId = setTimeout(function _nextInvocation() {
-            self._execute();
-        }, delay);
+    // stop() was called from a listener.
+    if (self._active === false) {
+        return;
+    }
 
-        if (self._unref === true) {
-            self._nextHandlerId.unref();
-        }
-    } else {
-        self._execute();
+    if (self._store === null) {
+        self._begin(self._firstDelay(self._clock.now(), delay));
+        return;
     }
+
+    // carry on from the last run saved in the store. without a saved run,
+    // e.g., the very first time, or if it can't be loaded, start afresh.
+    const loadId = ++self._loadId;
+    self._loading = true;
+    self._store.load(self.name, function _onLoad(err, state) {
+        // stopped in the meantime
+        if (loadId !== self._loadId) {
+            return;
+        }
+
+        const now = self._clock.now();
+        const saved = !err && state && typeof state.lastStartTime === 'number';
+
+        self._loading = false;
+        self._storeState = saved ? state : null;
+        self._begin(
+            saved ? self._savedDelay(now, state) : self._firstDelay(now, delay)
+        );
+    });
 };
 
 /**
- * Stops the interval execution, and clears any queued up invocations.
+ * Stops the interval execution, and clears any queued up invocations. if an
+ * invocation is in flight, stop completes once it does.
  * @public
  * @method Reissue.stop
- * @return {undefined}
+ * @param {Object} [opts] an options object
+ * @param {Number} [opts.deadline] an optional time in ms to wait for an in
+ * flight invocation to complete. once exceeded, the invocation is abandoned
+ * and stop completes right away. if the abandoned invocation completes later
+ * on, its completion is ignored. until then, it keeps its slot in
+ * `opts.pool`, if any, for another deadline at most.
+ * @return {Promise} a promise that resolves with an object once stopped. the
+ * object's `reason` property is `manual`, unless the handler had already
+ * stopped on its own, and its `forced` property is true if an invocation was
+ * abandoned.
  */
-Reissue.prototype.stop = function stop() {
+Reissue.prototype.stop = function stop(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalNumber(opts && opts.deadline, 'opts.deadline');
+
     const self = this;
 
-    // NOTE: while the below if statements could be collapsed to be more more
-    // terse, this logic is easier to read in terms of maintainability.
+    return new Promise(function _waitForStop(resolve) {
+        const waiter = {
+            resolve: resolve,
+            deadlineHandlerId: null
+        };
+        self._stopWaiters.push(waiter);
 
-    // check if we are currently active. if not, we can stop now.
-    if (self._active === false) {
-        self._stop();
-    } else {
-        // in the else case, we are still active. there are two possibilities
-        // here, we are either:
-        // 1) queued up waiting for the next invocation
+        // there are two possibilities here, we are either:
+        // 1) inactive, or queued up waiting for the next invocation
         // 2) waiting for user supplied function to complete
         if (self._inUserFunc === false) {
             // case #1
             // if we're just waiting for the next invocation, call stop now
-            // which will clear out the next invocation.
-            self._stop();
+            // which will clear out the next invocation. if we've stopped on
+            // our own already, keep the reason we stopped for.
+            self._stop(
+                self._active === false && self.stopReason !== null
+                    ? self.stopReason
+                    : 'manual'
+            );
         } else {
             // case #2
             // set active flag to false, when we come back from user function
-            // we will check this flag and call internal _stop()
+            // we will check this flag and call internal _stop(). let the user
+            // function know it should give up.
             self._active = false;
+            self._abort('handler stopped');
+
+            // if a deadline is specified, don't wait any longer than that.
+            if (opts && typeof opts.deadline === 'number') {
+                waiter.deadlineHandlerId = self._clock.setTimeout(
+                    bind(self._forceStop, self, [opts.deadline]),
+                    opts.deadline
+                );
+
+                if (self._unref === true) {
+                    clock.unref(waiter.deadlineHandlerId);
+                }
+            }
+        }
+    });
+};
+
+/**
+ * Runs the function right away, out of band, rather than waiting for the
+ * next scheduled invocation. if an invocation is already in flight, a single
+ * follow-up invocation is queued up to run as soon as it completes, rather
+ * than running in parallel. multiple calls made during the same invocation
+ * share the same follow-up invocation. if the next invocation is held off
+ * until a consumer pulls a result, it runs as soon as the consumer does.
+ * after the triggered invocation completes, the regular schedule resumes from
+ * its completion time. calling trigger() while reissue is not active, paused,
+ * or while the circuit is open, will reject.
+ * @public
+ * @method Reissue.trigger
+ * @return {Promise} a promise that resolves with the result of the triggered
+ * invocation, or rejects with its error.
+ */
+Reissue.prototype.trigger = function trigger() {
+    const self = this;
+
+    if (self._active === false) {
+        return Promise.reject(
+            new Error('cannot trigger, function not active!')
+        );
+    }
+
+    if (self._paused === true) {
+        return Promise.reject(new Error('cannot trigger, function paused!'));
+    }
+
+    if (self._breaker !== null && self._breaker.state() === 'open') {
+        return Promise.reject(new Error('cannot trigger, circuit open!'));
+    }
+
+    return new Promise(function _waitForTrigger(resolve, reject) {
+        self._triggerQueue.push({
+            resolve: resolve,
+            reject: reject
+        });
+
+        // if we're waiting for the next invocation, cancel it and run now.
+        // if waiting for the lock, a pool slot or opts.shouldRun, the queued
+        // trigger is picked up once the invocation gets them. otherwise,
+        // _done will pick up the queued trigger.
+        if (
+            self._inUserFunc === false &&
+            self._isQueued() === false &&
+            self._loading === false
+        ) {
+            // held off for a consumer, run as soon as it pulls its value.
+            if (self._held === true) {
+                self._nextRunAt = self._clock.now();
+                return;
+            }
+            if (self._nextHandlerId) {
+                self._clock.clearTimeout(self._nextHandlerId);
+                self._nextHandlerId = null;
+            }
+            self._acquire();
+        }
+    });
+};
+
+/**
+ * Waits for the next invocation to complete. if an invocation is in flight,
+ * that is the one waited for. calling next() while reissue is not active will
+ * reject.
+ * @public
+ * @method Reissue.next
+ * @return {Promise} a promise that resolves with the result of the next
+ * invocation, or rejects with its error. rejects if the handler stops before
+ * then.
+ */
+Reissue.prototype.next = function next() {
+    const self = this;
+
+    if (self._active === false) {
+        return Promise.reject(
+            new Error('cannot wait for next, function not active!')
+        );
+    }
+
+    return new Promise(function _waitForNext(resolve, reject) {
+        self._nextWaiters.push({
+            resolve: resolve,
+            reject: reject
+        });
+    });
+};
+
+/**
+ * Returns an async iterator over the results of the handler's invocations,
+ * e.g., for use in a `for await` loop. starts the handler if it isn't active
+ * yet. while a result hasn't been pulled, the next invocation isn't
+ * scheduled. the iterator ends once the handler stops, and throws the error
+ * of a failed invocation. ending the iteration early, or on an error, stops
+ * the handler.
+ * @public
+ * @method Reissue.asyncIterator
+ * @return {Object} an async iterator
+ */
+Reissue.prototype[Symbol.asyncIterator] = function asyncIterator() {
+    return consumer.toIterator(this._consume());
+};
+
+/**
+ * Returns an object mode Readable stream of the results of the handler's
+ * invocations. starts the handler if it isn't active yet. while a result
+ * hasn't been read, the next invocation isn't scheduled. the stream ends once
+ * the handler stops, and is destroyed with the error of a failed invocation.
+ * destroying the stream stops the handler.
+ * @public
+ * @method Reissue.toStream
+ * @return {stream.Readable} a Readable stream
+ */
+Reissue.prototype.toStream = function toStream() {
+    return consumer.toStream(this._consume());
+};
+
+/**
+ * Pauses the handler. an in flight invocation is allowed to complete, but no
+ * new invocations are scheduled until resume() is called. calling pause()
+ * while already paused does nothing. calling pause() while reissue is not
+ * active will throw an exception.
+ * @public
+ * @method Reissue.pause
+ * @return {undefined}
+ */
+Reissue.prototype.pause = function pause() {
+    const self = this;
+
+    if (self._active === false) {
+        throw new Error('cannot pause, function not active!');
+    }
+
+    if (self._paused === true) {
+        return;
+    }
+
+    self._paused = true;
+
+    // if we're waiting for the next invocation, cancel it, and remember how
+    // much of the delay was left.
+    if (self._inUserFunc === false && self._nextHandlerId) {
+        self._clock.clearTimeout(self._nextHandlerId);
+        self._nextHandlerId = null;
+        self._pausedRemaining = Math.max(
+            0,
+            self._nextRunAt - self._clock.now()
+        );
+    } else if (self._held === true) {
+        // held off for a consumer, pick up from there on resume().
+        self._held = false;
+        self._pausedRemaining = Math.max(
+            0,
+            self._nextRunAt - self._clock.now()
+        );
+    } else if (self._cancelAcquire() === true) {
+        // waiting for the lock, a pool slot or opts.shouldRun, the next
+        // invocation was already due.
+        self._pausedRemaining = 0;
+    }
+
+    self.emit('pause');
+};
+
+/**
+ * Resumes a paused handler. calling resume() while not paused does nothing.
+ * @public
+ * @method Reissue.resume
+ * @param {Object} [opts] an options object
+ * @param {Boolean} [opts.immediate] if true, run the next invocation right
+ * away. otherwise, wait out whatever remained of the delay before the next
+ * invocation at the time of pausing. when using `cron`, wait for the next
+ * matching time instead. has no effect if the handler was paused during an
+ * invocation that is still in flight, in which case the next invocation is
+ * scheduled as usual once it completes.
+ * @return {undefined}
+ */
+Reissue.prototype.resume = function resume(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalBool(opts && opts.immediate, 'opts.immediate');
+
+    const self = this;
+
+    if (self._paused === false) {
+        return;
+    }
+
+    self._paused = false;
+
+    // if still loading the saved state, the first invocation is scheduled
+    // once it has loaded.
+    if (self._inUserFunc === false && self._loading === false) {
+        const now = self._clock.now();
+        let delay = self._pausedRemaining;
+
+        if (opts && opts.immediate === true) {
+            delay = 0;
+        } else if (self._hasSlots() === true) {
+            // cron and fixed-rate slots are wall clock times. slots that
+            // passed while paused are skipped, just like slots that pass
+            // during an invocation.
+            delay =
+                self._nextRunAt > now
+                    ? self._nextRunAt - now
+                    : self._nextSlot(now) - now;
         }
+
+        self._schedule(self._circuitDelay(now, delay));
+    }
+
+    self._pausedRemaining = null;
+
+    self.emit('resume');
+};
+
+/**
+ * Returns true if the handler is paused.
+ * @public
+ * @method Reissue.isPaused
+ * @return {Boolean}
+ */
+Reissue.prototype.isPaused = function isPaused() {
+    return this._paused;
+};
+
+/**
+ * Returns the current state of the handler.
+ * @public
+ * @method Reissue.getState
+ * @return {String} one of `stopped`, `running` (an invocation is in flight),
+ * `waiting` (for the next invocation), `queued` (waiting for the lock, a
+ * pool slot or opts.shouldRun), `paused` or `stopping` (waiting for an in
+ * flight invocation to complete after stop() was called).
+ */
+Reissue.prototype.getState = function getState() {
+    const self = this;
+
+    if (self._active === false) {
+        return self._inUserFunc === true ? 'stopping' : 'stopped';
+    }
+
+    if (self._paused === true) {
+        return 'paused';
+    }
+
+    if (self._isQueued() === true) {
+        return 'queued';
     }
+
+    return self._inUserFunc === true ? 'running' : 'waiting';
+};
+
+/**
+ * Returns the state of the circuit breaker.
+ * @public
+ * @method Reissue.getCircuitState
+ * @return {String} one of `closed`, `open` (invocations are skipped until the
+ * cool-down has passed) or `half-open` (a trial run is in flight). always
+ * `closed` if no circuit breaker is configured.
+ */
+Reissue.prototype.getCircuitState = function getCircuitState() {
+    return this._breaker !== null ? this._breaker.state() : 'closed';
+};
+
+/**
+ * Returns runtime statistics for the handler.
+ * @public
+ * @method Reissue.getStats
+ * @return {Object} an object with the number of `invocations`, `successes`,
+ * `errors` and `timeouts`, the `lastStartTime`, `lastEndTime`, `lastDuration`
+ * and `lastError` of invocations, a `duration` histogram with `count`, `sum`,
+ * cumulative `buckets` and `p50`, `p90` and `p99` percentiles of recent
+ * invocations, and the `lastWait` and the `count` and `sum` of `wait` times
+ * for a pool slot. all times are in ms.
+ */
+Reissue.prototype.getStats = function getStats() {
+    return this._stats.toJSON();
 };
 
 /**
  * This module exposes a create method which takes the following options:
  * @param {Object} opts an options object
  * @param {Object} opts.func the function to execute on an interval. this
- * function is invoked with a callback function as its last parameter.
+ * function is invoked with a callback function as its last parameter. it may
+ * instead return a promise, in which case the invocation completes when the
+ * promise settles.
  * @param {Number} opts.interval the interval in ms to execute the function, or
  * a function that returns an interval, allowing usage of a dynamic interval.
+ * the function is called after each invocation with its duration in ms, and a
+ * context object with the `elapsedTime`, the `error` and `result` of the
+ * invocation, the `invocation` number and the number of consecutive
+ * `failures`. it is also called after a skipped invocation, and when carrying
+ * on a schedule saved in `opts.store`, with `skipped` or `restored` set in the
+ * context, which then has no `error` or `result`. returning null or `STOP`
+ * stops the handler, with reason `interval`.
+ * @param {String} [opts.cron] a cron expression to schedule invocations with,
+ * used instead of `opts.interval`. accepts 5 fields, or 6 fields where the
+ * first field is seconds. after each invocation completes, the next
+ * invocation is scheduled for the first matching time after completion. any
+ * matching times that pass while an invocation is running are skipped.
+ * @param {String} [opts.timezone] an IANA time zone name to evaluate
+ * `opts.cron` in, e.g., `America/New_York`. defaults to the local time zone.
+ * @param {String} [opts.mode] `fixed-delay` (the default) schedules each
+ * invocation an interval after the previous invocation started. `fixed-rate`
+ * schedules invocations on slots that are exact multiples of the interval
+ * from an anchor, so they don't drift. an invocation that runs past one or
+ * more slots is followed by the first slot after it completes. requires a
+ * numeric `opts.interval`.
+ * @param {Number | Date} [opts.anchor] in `fixed-rate` mode, a time slots are
+ * aligned to. defaults to the epoch if `opts.align` is set, or to the first
+ * invocation otherwise.
+ * @param {Boolean} [opts.align] in `fixed-rate` mode, if true, the first
+ * invocation waits for the first slot at or after the time it would otherwise
+ * run, rather than running right away. e.g., with an interval of a minute and
+ * no anchor, invocations land on every minute on :00.
+ * @param {String} [opts.overrunPolicy] what to do when an invocation runs past
+ * one or more slots, i.e., the times the next invocations were due. with an
+ * interval, slots are multiples of the interval after the invocation started.
+ * `immediate` runs the next invocation right away, and skips any other missed
+ * slots. `skip` skips all missed slots, and waits for the next slot.
+ * `catch-up` runs one invocation for each missed slot, back to back, up to
+ * `opts.maxCatchUp`, and skips the rest. defaults to `skip` for cron and
+ * fixed-rate schedules, and `immediate` otherwise. skipped slots are reported
+ * via the `missed` event. slots that pass while waiting out `opts.backoff` or
+ * the circuit breaker's cool-down are skipped on purpose, and never missed.
+ * @param {Number} [opts.maxCatchUp] with the `catch-up` overrun policy, the
+ * maximum number of missed slots to catch up on. defaults to 10.
  * @param {Number} [opts.timeout] an optional timeout in ms. if any invocation
  * of the the supplied func exceeds this timeout, the `timeout` event is fired.
+ * @param {String} [opts.timeoutPolicy] what to do when an invocation exceeds
+ * `opts.timeout`. `wait` (the default) waits for the invocation to complete
+ * before scheduling the next one. `abandon` fails the invocation right away,
+ * with a timeout error, and schedules the next invocation as usual. if the
+ * abandoned invocation completes later on, its completion is ignored. until
+ * then, it keeps its slot in `opts.pool`, if any, for another `opts.timeout`
+ * at most.
  * @param {Object} [opts.context] an optional `this` context for the function
  * invocation. use this in lieu of native `bind()` if you are concerned about
  * performance. reissue uses `apply()` under the hood to do context/arg binding.
  * @param {Array} [opts.args] an optional array of arguments for the function.
  * used in conjunction with the same `apply()` call as the context.
+ * @param {Object} [opts.backoff] an optional backoff config. when provided,
+ * the delay before the next invocation is stretched after consecutive errors.
+ * @param {Number} [opts.backoff.base] delay in ms after the first error.
+ * defaults to 1000.
+ * @param {Number} [opts.backoff.factor] multiplier applied to the delay for
+ * each consecutive error. defaults to 2.
+ * @param {Number} [opts.backoff.max] maximum delay in ms. defaults to 60000.
+ * @param {String} [opts.backoff.jitter] one of `none`, `full` or
+ * `decorrelated`. defaults to `full`.
+ * @param {Number} [opts.backoff.resetAfter] number of consecutive successful
+ * invocations required before the attempt count is reset. defaults to 1.
+ * @param {Object} [opts.circuitBreaker] an optional circuit breaker config.
+ * when provided, consecutive errors or timeouts open the circuit, after which
+ * invocations are skipped for a cool-down period. a single trial run is made
+ * once the cool-down has passed, which closes the circuit if it succeeds and
+ * opens it again if it fails.
+ * @param {Number} [opts.circuitBreaker.threshold] number of consecutive
+ * failures that opens the circuit. defaults to 5.
+ * @param {Number} [opts.circuitBreaker.window] only count failures within
+ * this many ms of the latest failure. defaults to counting all consecutive
+ * failures.
+ * @param {Number} [opts.circuitBreaker.cooldown] time in ms the circuit stays
+ * open. defaults to 30000.
+ * @param {Pool} [opts.pool] an optional pool, created with `createPool()`.
+ * handlers sharing a pool wait for a free slot before each invocation, such
+ * that no more than the pool's concurrency run at the same time.
+ * @param {Number} [opts.priority] priority of this handler's invocations when
+ * waiting for a pool slot. higher priorities are handed a slot first.
+ * defaults to 0.
+ * @param {Object} [opts.lock] an optional lock config. when provided, the
+ * handler acquires, or renews, a lease before each invocation, and skips the
+ * invocation if it doesn't hold the lease. this allows running a handler on
+ * exactly one of many instances of a service. the lease is released when the
+ * handler stops.
+ * @param {Object} opts.lock.adapter the lock adapter, with callback style
+ * `acquire(key, owner, ttl, cb)`, `renew(key, owner, ttl, cb)` and
+ * `release(key, owner, cb)` functions. see `createMemoryLock()` and
+ * `createFileLock()`.
+ * @param {String} [opts.lock.key] the key to lock. defaults to `opts.name`.
+ * @param {String} [opts.lock.owner] identifies this handler as the owner of
+ * the lease. defaults to a unique id.
+ * @param {Number} [opts.lock.ttl] time in ms until the lease expires, unless
+ * renewed. should be longer than the interval, plus the time an invocation
+ * takes, for the lease to be kept between invocations. defaults to 30000.
+ * @param {Object} [opts.store] an optional store the start and completion
+ * time of the last invocation are saved in, keyed by `opts.name`, which is
+ * required. on start(), the first invocation is scheduled from the saved
+ * times, such that the schedule carries on across restarts. if it came due
+ * while the handler wasn't running, or the last invocation never completed,
+ * it runs right away. the delay passed to start() is only used if nothing was
+ * saved yet. a store has callback style `load(key, cb)` and
+ * `save(key, state, cb)` functions. see `createMemoryStore()` and
+ * `createFileStore()`.
+ * @param {String} [opts.name] an optional name for the handler. used to
+ * identify the handler when exporting stats.
+ * @param {Boolean} [opts.abortSignal] if true, the function is invoked with an
+ * AbortSignal, just before the callback. the signal is aborted when the
+ * invocation exceeds `opts.timeout`, or when `stop()` is called during the
+ * invocation.
+ * @param {Number} [opts.maxInvocations] an optional number of invocations
+ * after which the handler stops on its own, with reason `max-invocations`.
+ * @param {Number | Date} [opts.until] an optional time after which no new
+ * invocations are started. the handler stops on its own, with reason
+ * `deadline`, once the next invocation would start after this time.
+ * @param {Function} [opts.stopWhen] an optional predicate, called after each
+ * invocation with its error and result. if it returns true, the handler stops
+ * on its own, with reason `predicate`. if it throws, the handler stops with
+ * reason `predicate` as well, and the error is emitted as an `error` event.
+ * @param {Function} [opts.shouldRun] an optional predicate, called before each
+ * invocation. if it returns false, or a promise that resolves to false, the
+ * invocation is skipped, a `skipped` event is emitted with reason
+ * `shouldRun`, and the next invocation is scheduled as usual.
+ * @param {Object} [opts.clock] an optional clock used to tell time and set
+ * timers, with `now()`, `setTimeout()`, `clearTimeout()` and `setImmediate()`
+ * functions. defaults to the real clock. see `createVirtualClock()`.
  * @return {Reissue} a Reissue object
  */
 function create(opts) {
     return new Reissue(opts);
 }
 
+/**
+ * Creates a virtual clock, which can be passed to `create()` as `opts.clock`.
+ * time on a virtual clock only moves when advanced by hand, which makes it
+ * possible to test handlers deterministically and without waiting.
+ * @param {Object} [opts] an options object
+ * @param {Number} [opts.now] the starting time in ms. defaults to 0.
+ * @return {VirtualClock} a VirtualClock object
+ */
+function createVirtualClock(opts) {
+    return new clock.VirtualClock(opts);
+}
+
+/**
+ * Creates a pool, which can be shared by handlers via `opts.pool` to limit
+ * how many of their invocations run at the same time.
+ * @param {Object} [opts] an options object
+ * @param {Number} [opts.concurrency] maximum number of invocations running at
+ * the same time. defaults to 1.
+ * @return {Pool} a Pool object
+ */
+function createPool(opts) {
+    return new Pool(opts);
+}
+
+/**
+ * Creates a lock adapter which keeps leases in memory. only useful to
+ * coordinate handlers within the same process, e.g., in tests.
+ * @param {Object} [opts] an options object
+ * @param {Object} [opts.clock] the clock used to tell time. defaults to the
+ * real clock.
+ * @return {MemoryLock} a MemoryLock object
+ */
+function createMemoryLock(opts) {
+    return new lock.MemoryLock(opts);
+}
+
+/**
+ * Creates a lock adapter which keeps each lease in a file, to coordinate
+ * handlers across processes on the same host.
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.dir] the directory to keep lease files in. defaults
+ * to the os temp directory.
+ * @return {FileLock} a FileLock object
+ */
+function createFileLock(opts) {
+    return new FileLock(opts);
+}
+
+/**
+ * Creates a store which keeps the last run of handlers in memory. only
+ * survives restarting a handler, not the process, e.g., in tests.
+ * @param {Object} [opts] an options object
+ * @param {Object} [opts.clock] the clock used to call back. defaults to the
+ * real clock.
+ * @return {MemoryStore} a MemoryStore object
+ */
+function createMemoryStore(opts) {
+    return new store.MemoryStore(opts);
+}
+
+/**
+ * Creates a store which keeps the last run of each handler in a JSON file, so
+ * that schedules carry on across process restarts.
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.dir] the directory to keep state files in. defaults
+ * to the os temp directory.
+ * @return {FileStore} a FileStore object
+ */
+function createFileStore(opts) {
+    return new FileStore(opts);
+}
+
+/**
+ * Creates a scheduler, a registry of named handlers. handlers are added with
+ * `add(name, opts)`, which takes the same options as `create()`, and can then
+ * be looked up, listed, started, stopped and removed. events of every handler
+ * are re-emitted by the scheduler with the handler's name as the first
+ * argument, or as the second argument in case of `error` events.
+ * @return {Scheduler} a Scheduler object
+ */
+function createScheduler() {
+    return new Scheduler(create);
+}
+
+/**
+ * Renders the stats of one or more handlers in the prometheus text exposition
+ * format. every sample is labelled with the handler's name.
+ * @param {Object | Array} handlers a map of names to handlers, or an array of
+ * handlers created with `opts.name`
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.prefix] prefix for all metric names. defaults to
+ * `reissue_`.
+ * @return {String} the rendered metrics
+ */
+function toPrometheus(handlers, opts) {
+    return prometheus.format(handlers, opts);
+}
+
 module.exports = {
-    create
+    STOP,
+    create,
+    createFileLock,
+    createFileStore,
+    createMemoryLock,
+    createMemoryStore,
+    createPool,
+    createScheduler,
+    createVirtualClock,
+    toPrometheus
 };
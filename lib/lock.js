@@ -0,0 +1,178 @@
+'use strict';
+
+// core modules
+const crypto = require('crypto');
+const os = require('os');
+
+// internal files
+const assert = require('./assert');
+const clock = require('./clock');
+
+//------------------------------------------------------------------------------
+// lock adapter interface
+//------------------------------------------------------------------------------
+
+/**
+ * assert that an object implements the lock adapter interface.
+ * @private
+ * @function assertAdapter
+ * @param {Object} adapter a lock adapter
+ * @param {String} name name of the adapter for assertion messages
+ * @return {undefined}
+ */
+function assertAdapter(adapter, name) {
+    assert.object(adapter, name);
+    assert.func(adapter.acquire, name + '.acquire');
+    assert.func(adapter.renew, name + '.renew');
+    assert.func(adapter.release, name + '.release');
+}
+
+//------------------------------------------------------------------------------
+// memory lock
+//------------------------------------------------------------------------------
+
+/**
+ * MemoryLock object. a lock adapter which keeps leases in memory, so it only
+ * coordinates handlers within the same process. calls back asynchronously, via
+ * the clock's setImmediate().
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {Object} [opts.clock] the clock used to tell time. defaults to the
+ * real clock.
+ */
+function MemoryLock(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    if (opts && opts.clock) {
+        clock.assertClock(opts.clock, 'opts.clock');
+    }
+
+    const self = this;
+
+    /**
+     * the clock used to tell time
+     * @private
+     * @type {Object}
+     */
+    self._clock = (opts && opts.clock) || clock.systemClock;
+
+    /**
+     * leases by key, with their `owner` and `expiresAt` time
+     * @private
+     * @type {Map}
+     */
+    self._leases = new Map();
+}
+
+/**
+ * acquire the lease for a key, if it is free, expired, or already held by
+ * the owner.
+ * @public
+ * @method MemoryLock.acquire
+ * @param {String} key the key to lock
+ * @param {String} owner the owner of the lease
+ * @param {Number} ttl time in ms until the lease expires
+ * @param {Function} callback called with an error, and true if acquired
+ * @return {undefined}
+ */
+MemoryLock.prototype.acquire = function acquire(key, owner, ttl, callback) {
+    const self = this;
+    const now = self._clock.now();
+    const lease = self._leases.get(key);
+    const acquired = !lease || lease.owner === owner || lease.expiresAt <= now;
+
+    if (acquired === true) {
+        self._leases.set(key, {
+            owner: owner,
+            expiresAt: now + ttl
+        });
+    }
+
+    self._clock.setImmediate(function _callback() {
+        callback(null, acquired);
+    });
+};
+
+/**
+ * extend the lease for a key, as long as the owner still holds it.
+ * @public
+ * @method MemoryLock.renew
+ * @param {String} key the key to lock
+ * @param {String} owner the owner of the lease
+ * @param {Number} ttl time in ms until the lease expires
+ * @param {Function} callback called with an error, and true if renewed
+ * @return {undefined}
+ */
+MemoryLock.prototype.renew = function renew(key, owner, ttl, callback) {
+    const self = this;
+    const now = self._clock.now();
+    const lease = self._leases.get(key);
+    const renewed = Boolean(lease) && lease.owner === owner;
+
+    // an expired lease nobody else picked up can still be renewed.
+    if (renewed === true) {
+        lease.expiresAt = now + ttl;
+    }
+
+    self._clock.setImmediate(function _callback() {
+        callback(null, renewed);
+    });
+};
+
+/**
+ * give up the lease for a key, if the owner holds it.
+ * @public
+ * @method MemoryLock.release
+ * @param {String} key the key to unlock
+ * @param {String} owner the owner of the lease
+ * @param {Function} callback called with an error
+ * @return {undefined}
+ */
+MemoryLock.prototype.release = function release(key, owner, callback) {
+    const self = this;
+    const lease = self._leases.get(key);
+
+    if (lease && lease.owner === owner) {
+        self._leases.delete(key);
+    }
+
+    self._clock.setImmediate(function _callback() {
+        callback(null);
+    });
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * create an owner for a lease, unique per handler, so that two handlers in
+ * the same process never share a lease. made up of the host name, process id
+ * and random bytes, as far as the platform provides them.
+ * @private
+ * @function createOwner
+ * @return {String} an owner
+ */
+function createOwner() {
+    const host = typeof os.hostname === 'function' ? os.hostname() : 'host';
+    const pid =
+        typeof process === 'object' && typeof process.pid === 'number'
+            ? process.pid
+            : 0;
+    const random =
+        typeof crypto.randomBytes === 'function'
+            ? crypto.randomBytes(4).toString('hex')
+            : Math.random()
+                  .toString(16)
+                  .slice(2, 10);
+
+    return host + ':' + pid + ':' + random;
+}
+
+module.exports = {
+    assertAdapter,
+    createOwner,
+    MemoryLock
+};
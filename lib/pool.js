@@ -0,0 +1,152 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Pool object which limits how many invocations, across all handlers sharing
+ * the pool, run at the same time.
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {Number} [opts.concurrency] maximum number of invocations running at
+ * the same time. defaults to 1.
+ */
+function Pool(opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalNumber(opts && opts.concurrency, 'opts.concurrency');
+
+    const self = this;
+
+    /**
+     * maximum number of slots handed out at the same time
+     * @private
+     * @type {Number}
+     */
+    self._concurrency =
+        opts && typeof opts.concurrency === 'number' ? opts.concurrency : 1;
+
+    assert.ok(self._concurrency >= 1, 'opts.concurrency must be >= 1');
+
+    /**
+     * number of slots handed out
+     * @private
+     * @type {Number}
+     */
+    self._running = 0;
+
+    /**
+     * tickets waiting for a slot
+     * @private
+     * @type {Array}
+     */
+    self._queue = [];
+
+    /**
+     * incrementing id used to order tickets of the same priority
+     * @private
+     * @type {Number}
+     */
+    self._seq = 0;
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * Returns the current usage of the pool.
+ * @public
+ * @method Pool.getStats
+ * @return {Object} an object with the `concurrency` of the pool, and the
+ * number of invocations `running` and `pending` a slot.
+ */
+Pool.prototype.getStats = function getStats() {
+    const self = this;
+
+    return {
+        concurrency: self._concurrency,
+        running: self._running,
+        pending: self._queue.length
+    };
+};
+
+/**
+ * wait for a slot. tickets with a higher priority are handed a slot first,
+ * tickets of the same priority in the order they were queued. if a slot is
+ * free, the function is called synchronously.
+ * @private
+ * @method acquire
+ * @param {Number} priority priority of the ticket
+ * @param {Function} fn called with a release function once a slot is free
+ * @return {Object} a ticket, which can be passed to cancel()
+ */
+Pool.prototype.acquire = function acquire(priority, fn) {
+    assert.number(priority, 'priority');
+    assert.func(fn, 'fn');
+
+    const self = this;
+    const ticket = {
+        priority: priority,
+        seq: self._seq++,
+        fn: fn
+    };
+
+    self._queue.push(ticket);
+    self._queue.sort(function _byPriority(a, b) {
+        return b.priority - a.priority || a.seq - b.seq;
+    });
+    self._dispatch();
+
+    return ticket;
+};
+
+/**
+ * stop waiting for a slot. does nothing if the ticket was already handed a
+ * slot.
+ * @private
+ * @method cancel
+ * @param {Object} ticket a ticket returned by acquire()
+ * @return {undefined}
+ */
+Pool.prototype.cancel = function cancel(ticket) {
+    const self = this;
+    const idx = self._queue.indexOf(ticket);
+
+    if (idx !== -1) {
+        self._queue.splice(idx, 1);
+    }
+};
+
+/**
+ * hand out free slots to waiting tickets.
+ * @private
+ * @method _dispatch
+ * @return {undefined}
+ */
+Pool.prototype._dispatch = function _dispatch() {
+    const self = this;
+
+    while (self._running < self._concurrency && self._queue.length > 0) {
+        const ticket = self._queue.shift();
+        let released = false;
+
+        self._running += 1;
+        ticket.fn(function _release() {
+            // releasing the same slot twice would hand out one slot too many.
+            if (released === true) {
+                return;
+            }
+            released = true;
+            self._running -= 1;
+            self._dispatch();
+        });
+    }
+};
+
+module.exports = Pool;
@@ -0,0 +1,231 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// metrics rendered for each handler. `value` picks the sample value out of a
+// stats snapshot.
+const METRICS = [
+    {
+        name: 'invocations_total',
+        type: 'counter',
+        help: 'Number of invocations started.',
+        value: function _value(stats) {
+            return stats.invocations;
+        }
+    },
+    {
+        name: 'successes_total',
+        type: 'counter',
+        help: 'Number of invocations that completed without an error.',
+        value: function _value(stats) {
+            return stats.successes;
+        }
+    },
+    {
+        name: 'errors_total',
+        type: 'counter',
+        help: 'Number of invocations that completed with an error.',
+        value: function _value(stats) {
+            return stats.errors;
+        }
+    },
+    {
+        name: 'timeouts_total',
+        type: 'counter',
+        help: 'Number of invocations that exceeded the timeout.',
+        value: function _value(stats) {
+            return stats.timeouts;
+        }
+    },
+    {
+        name: 'skipped_total',
+        type: 'counter',
+        help: 'Number of invocations skipped without running.',
+        value: function _value(stats) {
+            return stats.skipped;
+        }
+    },
+    {
+        name: 'wait_seconds_total',
+        type: 'counter',
+        help: 'Time spent waiting for a pool slot before invocations started.',
+        value: function _value(stats) {
+            return toSeconds(stats.wait.sum);
+        }
+    },
+    {
+        name: 'last_start_timestamp_seconds',
+        type: 'gauge',
+        help: 'Start time of the last invocation.',
+        value: function _value(stats) {
+            return toSeconds(stats.lastStartTime);
+        }
+    },
+    {
+        name: 'last_end_timestamp_seconds',
+        type: 'gauge',
+        help: 'End time of the last completed invocation.',
+        value: function _value(stats) {
+            return toSeconds(stats.lastEndTime);
+        }
+    }
+];
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * render the stats of one or more handlers in the prometheus text exposition
+ * format.
+ * @private
+ * @function format
+ * @param {Object | Array} handlers a map of names to handlers, or an array of
+ * handlers created with a name
+ * @param {Object} [opts] an options object
+ * @param {String} [opts.prefix] prefix for all metric names
+ * @return {String}
+ */
+function format(handlers, opts) {
+    assert.optionalObject(opts, 'opts');
+    assert.optionalString(opts && opts.prefix, 'opts.prefix');
+
+    const prefix =
+        opts && typeof opts.prefix === 'string' ? opts.prefix : 'reissue_';
+    const entries = toEntries(handlers);
+    const lines = [];
+
+    METRICS.forEach(function _renderMetric(metric) {
+        const name = prefix + metric.name;
+
+        lines.push('# HELP ' + name + ' ' + metric.help);
+        lines.push('# TYPE ' + name + ' ' + metric.type);
+        entries.forEach(function _renderSample(entry) {
+            const value = metric.value(entry.stats);
+
+            // nothing to report until the first invocation
+            if (value !== null) {
+                lines.push(sample(name, { name: entry.name }, value));
+            }
+        });
+    });
+
+    const histogram = prefix + 'duration_seconds';
+    lines.push('# HELP ' + histogram + ' Duration of completed invocations.');
+    lines.push('# TYPE ' + histogram + ' histogram');
+    entries.forEach(function _renderHistogram(entry) {
+        const duration = entry.stats.duration;
+
+        duration.buckets.forEach(function _renderBucket(bucket) {
+            lines.push(
+                sample(
+                    histogram + '_bucket',
+                    { name: entry.name, le: String(toSeconds(bucket.le)) },
+                    bucket.count
+                )
+            );
+        });
+        lines.push(
+            sample(
+                histogram + '_bucket',
+                { name: entry.name, le: '+Inf' },
+                duration.count
+            )
+        );
+        lines.push(
+            sample(
+                histogram + '_sum',
+                { name: entry.name },
+                toSeconds(duration.sum)
+            )
+        );
+        lines.push(
+            sample(histogram + '_count', { name: entry.name }, duration.count)
+        );
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * normalize handlers into a list of names and stats snapshots.
+ * @private
+ * @function toEntries
+ * @param {Object | Array} handlers a map of names to handlers, or an array of
+ * handlers created with a name
+ * @return {Array}
+ */
+function toEntries(handlers) {
+    if (Array.isArray(handlers)) {
+        return handlers.map(function _toEntry(handler, idx) {
+            assert.string(handler.name, 'handlers[' + idx + '].name');
+            return {
+                name: handler.name,
+                stats: handler.getStats()
+            };
+        });
+    }
+
+    assert.object(handlers, 'handlers');
+    return Object.keys(handlers).map(function _toEntry(name) {
+        return {
+            name: name,
+            stats: handlers[name].getStats()
+        };
+    });
+}
+
+/**
+ * render a single sample line.
+ * @private
+ * @function sample
+ * @param {String} name metric name
+ * @param {Object} labels label names and values
+ * @param {Number} value sample value
+ * @return {String}
+ */
+function sample(name, labels, value) {
+    const pairs = Object.keys(labels).map(function _toPair(label) {
+        return label + '="' + escapeLabel(labels[label]) + '"';
+    });
+
+    return name + '{' + pairs.join(',') + '} ' + value;
+}
+
+/**
+ * escape a label value, per the exposition format.
+ * @private
+ * @function escapeLabel
+ * @param {String} value label value
+ * @return {String}
+ */
+function escapeLabel(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * convert ms to seconds. prometheus expects base units.
+ * @private
+ * @function toSeconds
+ * @param {Number} ms a time in ms
+ * @return {Number} the time in seconds, or null
+ */
+function toSeconds(ms) {
+    return ms === null ? null : ms / 1000;
+}
+
+module.exports = {
+    format
+};
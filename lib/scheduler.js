@@ -0,0 +1,244 @@
+'use strict';
+
+// core modules
+const EventEmitter = require('events');
+
+// internal files
+const assert = require('./assert');
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// handler events re-emitted by the scheduler, tagged with the handler's name.
+const FORWARDED_EVENTS = [
+    'error',
+    'stop',
+    'pause',
+    'resume',
+    'timeout',
+    'open',
+    'half-open',
+    'close',
+    'missed',
+    'skipped',
+    'start',
+    'invoke',
+    'success',
+    'result',
+    'complete',
+    'schedule',
+    'misuse'
+];
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Scheduler object which keeps track of many named handlers.
+ * @class
+ * @constructor
+ * @private
+ * @param {Function} create the function used to create handlers
+ */
+function Scheduler(create) {
+    assert.func(create, 'create');
+
+    const self = this;
+    EventEmitter.call(self);
+
+    /**
+     * the function used to create handlers
+     * @private
+     * @type {Function}
+     */
+    self._create = create;
+
+    /**
+     * handlers by name, in order of creation
+     * @private
+     * @type {Map}
+     */
+    self._handlers = new Map();
+
+    /**
+     * listeners attached to each handler to forward its events, by name
+     * @private
+     * @type {Map}
+     */
+    self._forwarders = new Map();
+}
+Object.setPrototypeOf(Scheduler.prototype, EventEmitter.prototype);
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * Creates a handler and adds it to the scheduler. the handler is not started.
+ * @public
+ * @method Scheduler.add
+ * @param {String} name a unique name for the handler
+ * @param {Object} opts the same options as `create()`. `opts.name` is set to
+ * the given name.
+ * @return {Reissue} the handler
+ */
+Scheduler.prototype.add = function add(name, opts) {
+    assert.string(name, 'name');
+    assert.object(opts, 'opts');
+
+    const self = this;
+
+    if (self._handlers.has(name)) {
+        throw new Error('handler already exists: ' + name);
+    }
+
+    const handler = self._create(Object.assign({}, opts, { name: name }));
+    const forwarders = FORWARDED_EVENTS.map(function _forward(eventName) {
+        return {
+            eventName: eventName,
+            listener: function _forwardEvent() {
+                const args = Array.prototype.slice.call(arguments);
+
+                // keep the error first, so that an error without a listener
+                // on the scheduler still throws the original error.
+                if (eventName === 'error') {
+                    self.emit.apply(
+                        self,
+                        ['error', args[0], name].concat(args.slice(1))
+                    );
+                } else {
+                    self.emit.apply(self, [eventName, name].concat(args));
+                }
+            }
+        };
+    });
+
+    forwarders.forEach(function _attach(forwarder) {
+        handler.on(forwarder.eventName, forwarder.listener);
+    });
+
+    self._handlers.set(name, handler);
+    self._forwarders.set(name, forwarders);
+    return handler;
+};
+
+/**
+ * Returns the handler with the given name.
+ * @public
+ * @method Scheduler.get
+ * @param {String} name name of the handler
+ * @return {Reissue} the handler, or null
+ */
+Scheduler.prototype.get = function get(name) {
+    assert.string(name, 'name');
+
+    return this._handlers.get(name) || null;
+};
+
+/**
+ * Lists all handlers, in order of creation.
+ * @public
+ * @method Scheduler.list
+ * @return {Array} an array of objects with the `name` and current `state` of
+ * each handler. see `getState()`.
+ */
+Scheduler.prototype.list = function list() {
+    const result = [];
+
+    this._handlers.forEach(function _describe(handler, name) {
+        result.push({
+            name: name,
+            state: handler.getState()
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Starts all handlers that are stopped. handlers that are already active are
+ * left alone.
+ * @public
+ * @method Scheduler.startAll
+ * @param {Number} [delay] an optional delay in ms before the first invocation
+ * of each handler. see `start()`.
+ * @return {undefined}
+ */
+Scheduler.prototype.startAll = function startAll(delay) {
+    assert.optionalNumber(delay, 'delay');
+
+    this._handlers.forEach(function _start(handler) {
+        if (handler.getState() === 'stopped') {
+            handler.start(delay);
+        }
+    });
+};
+
+/**
+ * Stops all handlers.
+ * @public
+ * @method Scheduler.stopAll
+ * @param {Object} [opts] the same options as `stop()`
+ * @return {Promise} a promise that resolves once all handlers have stopped,
+ * with an object mapping the name of each handler to the result of its
+ * `stop()`.
+ */
+Scheduler.prototype.stopAll = function stopAll(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    const names = Array.from(this._handlers.keys());
+    const stopped = Array.from(this._handlers.values()).map(function _stop(
+        handler
+    ) {
+        return handler.stop(opts);
+    });
+
+    return Promise.all(stopped).then(function _collect(results) {
+        const byName = {};
+
+        names.forEach(function _assign(name, idx) {
+            byName[name] = results[idx];
+        });
+
+        return byName;
+    });
+};
+
+/**
+ * Stops a handler and removes it from the scheduler right away. its events are
+ * forwarded until it has stopped, and no longer after that. calling remove()
+ * with an unknown name will throw an exception.
+ * @public
+ * @method Scheduler.remove
+ * @param {String} name name of the handler
+ * @param {Object} [opts] the same options as `stop()`
+ * @return {Promise} the promise returned by the handler's `stop()`
+ */
+Scheduler.prototype.remove = function remove(name, opts) {
+    assert.string(name, 'name');
+    assert.optionalObject(opts, 'opts');
+
+    const self = this;
+    const handler = self._handlers.get(name);
+
+    if (!handler) {
+        throw new Error('no such handler: ' + name);
+    }
+
+    const forwarders = self._forwarders.get(name);
+    self._handlers.delete(name);
+    self._forwarders.delete(name);
+
+    // keep forwarding events until the handler has stopped, so that an error
+    // from an in flight invocation doesn't go unhandled.
+    return handler.stop(opts).then(function _detach(info) {
+        forwarders.forEach(function _detachForwarder(forwarder) {
+            handler.removeListener(forwarder.eventName, forwarder.listener);
+        });
+        return info;
+    });
+};
+
+module.exports = Scheduler;
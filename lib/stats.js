@@ -0,0 +1,292 @@
+'use strict';
+
+//------------------------------------------------------------------------------
+// consts
+//------------------------------------------------------------------------------
+
+// upper bounds (inclusive) of the duration histogram buckets, in ms. mirrors
+// the default buckets of most prometheus clients.
+const BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// number of most recent durations kept around to compute percentiles from.
+const WINDOW_SIZE = 1024;
+
+//------------------------------------------------------------------------------
+// class constructor
+//------------------------------------------------------------------------------
+
+/**
+ * Stats object which collects runtime statistics of a handler.
+ * @class
+ * @constructor
+ * @private
+ */
+function Stats() {
+    const self = this;
+
+    /**
+     * number of invocations started
+     * @private
+     * @type {Number}
+     */
+    self._invocations = 0;
+
+    /**
+     * number of invocations that completed without error
+     * @private
+     * @type {Number}
+     */
+    self._successes = 0;
+
+    /**
+     * number of invocations that completed with an error
+     * @private
+     * @type {Number}
+     */
+    self._errors = 0;
+
+    /**
+     * number of invocations that exceeded the timeout
+     * @private
+     * @type {Number}
+     */
+    self._timeouts = 0;
+
+    /**
+     * number of invocations skipped, e.g., without the lock or because
+     * opts.shouldRun returned false
+     * @private
+     * @type {Number}
+     */
+    self._skipped = 0;
+
+    /**
+     * start time of the last invocation
+     * @private
+     * @type {Number}
+     */
+    self._lastStartTime = null;
+
+    /**
+     * end time of the last completed invocation
+     * @private
+     * @type {Number}
+     */
+    self._lastEndTime = null;
+
+    /**
+     * duration of the last completed invocation
+     * @private
+     * @type {Number}
+     */
+    self._lastDuration = null;
+
+    /**
+     * last error returned by an invocation
+     * @private
+     * @type {Error}
+     */
+    self._lastError = null;
+
+    /**
+     * time the last invocation waited for a pool slot
+     * @private
+     * @type {Number}
+     */
+    self._lastWait = null;
+
+    /**
+     * number of times an invocation waited for a pool slot
+     * @private
+     * @type {Number}
+     */
+    self._waitCount = 0;
+
+    /**
+     * sum of all time spent waiting for a pool slot
+     * @private
+     * @type {Number}
+     */
+    self._waitSum = 0;
+
+    /**
+     * sum of all durations
+     * @private
+     * @type {Number}
+     */
+    self._durationSum = 0;
+
+    /**
+     * count of durations per histogram bucket. non-cumulative, the last
+     * entry holds durations greater than the largest bucket.
+     * @private
+     * @type {Array}
+     */
+    self._bucketCounts = new Array(BUCKETS.length + 1).fill(0);
+
+    /**
+     * ring buffer of the most recent durations
+     * @private
+     * @type {Array}
+     */
+    self._window = [];
+
+    /**
+     * next write position in the ring buffer
+     * @private
+     * @type {Number}
+     */
+    self._windowIdx = 0;
+}
+
+//------------------------------------------------------------------------------
+// public methods
+//------------------------------------------------------------------------------
+
+/**
+ * record the start of an invocation.
+ * @private
+ * @method start
+ * @param {Number} time start time in ms
+ * @return {undefined}
+ */
+Stats.prototype.start = function start(time) {
+    this._invocations += 1;
+    this._lastStartTime = time;
+};
+
+/**
+ * record the completion of an invocation.
+ * @private
+ * @method end
+ * @param {Number} time end time in ms
+ * @param {Number} duration duration of the invocation in ms
+ * @param {Error} [err] error returned by the invocation
+ * @return {undefined}
+ */
+Stats.prototype.end = function end(time, duration, err) {
+    const self = this;
+
+    if (err) {
+        self._errors += 1;
+        self._lastError = err;
+    } else {
+        self._successes += 1;
+    }
+
+    self._lastEndTime = time;
+    self._lastDuration = duration;
+    self._durationSum += duration;
+
+    let bucketIdx = 0;
+    while (bucketIdx < BUCKETS.length && duration > BUCKETS[bucketIdx]) {
+        bucketIdx++;
+    }
+    self._bucketCounts[bucketIdx] += 1;
+
+    self._window[self._windowIdx] = duration;
+    self._windowIdx = (self._windowIdx + 1) % WINDOW_SIZE;
+};
+
+/**
+ * record the time an invocation waited for a pool slot before starting.
+ * @private
+ * @method wait
+ * @param {Number} duration time waited in ms
+ * @return {undefined}
+ */
+Stats.prototype.wait = function wait(duration) {
+    const self = this;
+
+    self._lastWait = duration;
+    self._waitCount += 1;
+    self._waitSum += duration;
+};
+
+/**
+ * record an invocation exceeding the timeout.
+ * @private
+ * @method timeout
+ * @return {undefined}
+ */
+Stats.prototype.timeout = function timeout() {
+    this._timeouts += 1;
+};
+
+/**
+ * record an invocation being skipped.
+ * @private
+ * @method skip
+ * @return {undefined}
+ */
+Stats.prototype.skip = function skip() {
+    this._skipped += 1;
+};
+
+/**
+ * returns a snapshot of the stats.
+ * @private
+ * @method toJSON
+ * @return {Object}
+ */
+Stats.prototype.toJSON = function toJSON() {
+    const self = this;
+    const sorted = self._window.slice().sort(function _asc(a, b) {
+        return a - b;
+    });
+    let cumulative = 0;
+
+    return {
+        invocations: self._invocations,
+        successes: self._successes,
+        errors: self._errors,
+        timeouts: self._timeouts,
+        skipped: self._skipped,
+        lastStartTime: self._lastStartTime,
+        lastEndTime: self._lastEndTime,
+        lastDuration: self._lastDuration,
+        lastError: self._lastError,
+        lastWait: self._lastWait,
+        wait: {
+            count: self._waitCount,
+            sum: self._waitSum
+        },
+        duration: {
+            count: self._successes + self._errors,
+            sum: self._durationSum,
+            buckets: BUCKETS.map(function _toBucket(le, idx) {
+                cumulative += self._bucketCounts[idx];
+                return {
+                    le: le,
+                    count: cumulative
+                };
+            }),
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99)
+        }
+    };
+};
+
+//------------------------------------------------------------------------------
+// helpers
+//------------------------------------------------------------------------------
+
+/**
+ * returns the nearest-rank percentile of a sorted list of numbers.
+ * @private
+ * @function percentile
+ * @param {Array} sorted numbers in ascending order
+ * @param {Number} p the percentile, between 0 and 100
+ * @return {Number} the percentile, or null if there are no numbers
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(rank, 1) - 1];
+}
+
+module.exports = Stats;
@@ -0,0 +1,105 @@
+'use strict';
+
+// internal files
+const assert = require('./assert');
+const clock = require('./clock');
+
+//------------------------------------------------------------------------------
+// store interface
+//------------------------------------------------------------------------------
+
+/**
+ * assert that an object implements the store interface.
+ * @private
+ * @function assertStore
+ * @param {Object} store a store
+ * @param {String} name name of the store for assertion messages
+ * @return {undefined}
+ */
+function assertStore(store, name) {
+    assert.object(store, name);
+    assert.func(store.load, name + '.load');
+    assert.func(store.save, name + '.save');
+}
+
+//------------------------------------------------------------------------------
+// memory store
+//------------------------------------------------------------------------------
+
+/**
+ * MemoryStore object. a store which keeps state in memory, so it only
+ * survives restarting a handler, not the process. calls back asynchronously,
+ * via the clock's setImmediate().
+ * @class
+ * @constructor
+ * @public
+ * @param {Object} [opts] an options object
+ * @param {Object} [opts.clock] the clock used to call back. defaults to the
+ * real clock.
+ */
+function MemoryStore(opts) {
+    assert.optionalObject(opts, 'opts');
+
+    if (opts && opts.clock) {
+        clock.assertClock(opts.clock, 'opts.clock');
+    }
+
+    const self = this;
+
+    /**
+     * the clock used to call back
+     * @private
+     * @type {Object}
+     */
+    self._clock = (opts && opts.clock) || clock.systemClock;
+
+    /**
+     * saved states by key
+     * @private
+     * @type {Map}
+     */
+    self._states = new Map();
+}
+
+/**
+ * load the state saved for a key.
+ * @public
+ * @method MemoryStore.load
+ * @param {String} key the key
+ * @param {Function} callback called with an error, and the state or null if
+ * nothing was saved
+ * @return {undefined}
+ */
+MemoryStore.prototype.load = function load(key, callback) {
+    const self = this;
+    const state = self._states.get(key);
+    // hand out a copy, so that the saved state can't be changed by accident.
+    const copy = state ? Object.assign({}, state) : null;
+
+    self._clock.setImmediate(function _callback() {
+        callback(null, copy);
+    });
+};
+
+/**
+ * save the state for a key.
+ * @public
+ * @method MemoryStore.save
+ * @param {String} key the key
+ * @param {Object} state the state
+ * @param {Function} callback called with an error
+ * @return {undefined}
+ */
+MemoryStore.prototype.save = function save(key, state, callback) {
+    const self = this;
+
+    self._states.set(key, Object.assign({}, state));
+    self._clock.setImmediate(function _callback() {
+        callback(null);
+    });
+};
+
+module.exports = {
+    assertStore,
+    MemoryStore
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const reissue = require('../lib');
+
+describe('VirtualClock', function() {
+    it('should start at the given time', function() {
+        assert.equal(reissue.createVirtualClock().now(), 0);
+        assert.equal(reissue.createVirtualClock({ now: 1000 }).now(), 1000);
+    });
+
+    it('should run timers in order of due time, then creation', function() {
+        const clock = reissue.createVirtualClock();
+        const out = [];
+
+        clock.setTimeout(function() {
+            out.push('c');
+        }, 200);
+        clock.setTimeout(function() {
+            out.push('a');
+        }, 100);
+        clock.setTimeout(function() {
+            out.push('b');
+        }, 100);
+        clock.setImmediate(function() {
+            out.push('immediate');
+        });
+
+        clock.tick(150);
+        assert.deepEqual(out, ['immediate', 'a', 'b']);
+        assert.equal(clock.now(), 150);
+
+        clock.tick(50);
+        assert.deepEqual(out, ['immediate', 'a', 'b', 'c']);
+        assert.equal(clock.countTimers(), 0);
+    });
+
+    it('should run timers scheduled by other timers within a tick', function() {
+        const clock = reissue.createVirtualClock();
+        const out = [];
+
+        clock.setTimeout(function() {
+            out.push(clock.now());
+            clock.setTimeout(function() {
+                out.push(clock.now());
+            }, 100);
+        }, 100);
+
+        clock.tick(250);
+        assert.deepEqual(out, [100, 200]);
+    });
+
+    it('should clear timers', function() {
+        const clock = reissue.createVirtualClock();
+        let fired = false;
+
+        const handle = clock.setTimeout(function() {
+            fired = true;
+        }, 100);
+        const immediate = clock.setImmediate(function() {
+            fired = true;
+        });
+
+        clock.clearTimeout(handle);
+        clock.clearImmediate(immediate);
+        clock.tick(100);
+        assert.isFalse(fired);
+    });
+
+    it('should advance to the next timer', function() {
+        const clock = reissue.createVirtualClock();
+        let fired = false;
+
+        clock.setTimeout(function() {
+            fired = true;
+        }, 5000);
+
+        assert.isTrue(clock.next());
+        assert.isTrue(fired);
+        assert.equal(clock.now(), 5000);
+        assert.isFalse(clock.next());
+    });
+
+    it('should run all timers', function() {
+        const clock = reissue.createVirtualClock();
+        let count = 0;
+
+        function schedule() {
+            count++;
+            if (count < 10) {
+                clock.setTimeout(schedule, 1000);
+            }
+        }
+        clock.setTimeout(schedule, 1000);
+
+        clock.runAll();
+        assert.equal(count, 10);
+        assert.equal(clock.now(), 10000);
+    });
+
+    it('should throw if runAll never runs out of timers', function() {
+        const clock = reissue.createVirtualClock();
+
+        function schedule() {
+            clock.setTimeout(schedule, 1000);
+        }
+        schedule();
+
+        assert.throws(function() {
+            clock.runAll(50);
+        }, /50 timers/);
+    });
+
+    it('should let promises settle between timers with tickAsync', function() {
+        const clock = reissue.createVirtualClock();
+        const out = [];
+
+        clock.setTimeout(function() {
+            Promise.resolve().then(function() {
+                out.push(clock.now());
+                clock.setTimeout(function() {
+                    out.push(clock.now());
+                }, 100);
+            });
+        }, 100);
+
+        return clock.tickAsync(300).then(function() {
+            assert.deepEqual(out, [100, 200]);
+            assert.equal(clock.now(), 300);
+        });
+    });
+});
+
+describe('system clock', function() {
+    const realSetImmediate = global.setImmediate;
+    const realMessageChannel = global.MessageChannel;
+
+    afterEach(function() {
+        global.setImmediate = realSetImmediate;
+        global.MessageChannel = realMessageChannel;
+    });
+
+    it('should fall back to a MessageChannel without setImmediate', function(done) {
+        const store = reissue.createMemoryStore();
+        let loaded = false;
+
+        global.setImmediate = undefined;
+        store.load('job', function(err, state) {
+            assert.ifError(err);
+            assert.isNull(state);
+            loaded = true;
+            return done();
+        });
+        global.setImmediate = realSetImmediate;
+
+        // runs in a task of its own, not a microtask.
+        Promise.resolve().then(function() {
+            assert.isFalse(loaded);
+        });
+    });
+
+    it('should fall back to a microtask without a MessageChannel', function() {
+        const store = reissue.createMemoryStore();
+        let loaded = false;
+
+        global.setImmediate = undefined;
+        global.MessageChannel = undefined;
+        store.load('job', function(err) {
+            assert.ifError(err);
+            loaded = true;
+        });
+        assert.isFalse(loaded);
+
+        return Promise.resolve().then(function() {
+            assert.isTrue(loaded);
+        });
+    });
+
+    it('should let promises settle with tickAsync without setImmediate', function() {
+        const clock = reissue.createVirtualClock();
+        const out = [];
+
+        global.setImmediate = undefined;
+        clock.setTimeout(function() {
+            Promise.resolve().then(function() {
+                out.push(clock.now());
+                clock.setTimeout(function() {
+                    out.push(clock.now());
+                }, 100);
+            });
+        }, 100);
+
+        return clock.tickAsync(300).then(function() {
+            assert.deepEqual(out, [100, 200]);
+            assert.equal(clock.now(), 300);
+        });
+    });
+});
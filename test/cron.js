@@ -0,0 +1,100 @@
+'use strict';
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const Cron = require('../lib/cron');
+
+describe('Cron', function() {
+    it('should return the first matching time after a given time', function() {
+        const cron = new Cron({
+            expression: '*/15 * * * *',
+            timezone: 'UTC'
+        });
+
+        assert.equal(
+            cron.next(Date.parse('2021-05-03T10:07:12.000Z')),
+            Date.parse('2021-05-03T10:15:00.000Z')
+        );
+    });
+
+    it('should never return the given time itself', function() {
+        const cron = new Cron({
+            expression: '*/15 * * * *',
+            timezone: 'UTC'
+        });
+
+        assert.equal(
+            cron.next(Date.parse('2021-05-03T10:15:00.000Z')),
+            Date.parse('2021-05-03T10:30:00.000Z')
+        );
+    });
+
+    it('should support a seconds field', function() {
+        const cron = new Cron({
+            expression: '*/10 * * * * *',
+            timezone: 'UTC'
+        });
+
+        assert.equal(
+            cron.next(Date.parse('2021-05-03T10:00:01.500Z')),
+            Date.parse('2021-05-03T10:00:10.000Z')
+        );
+    });
+
+    it('should list the fire times between two times', function() {
+        const cron = new Cron({
+            expression: '*/15 * * * *',
+            timezone: 'UTC'
+        });
+
+        assert.deepEqual(
+            cron.between(
+                Date.parse('2021-05-03T10:00:00.000Z'),
+                Date.parse('2021-05-03T10:45:00.000Z')
+            ),
+            [
+                Date.parse('2021-05-03T10:15:00.000Z'),
+                Date.parse('2021-05-03T10:30:00.000Z'),
+                Date.parse('2021-05-03T10:45:00.000Z')
+            ]
+        );
+        assert.deepEqual(
+            cron.between(
+                Date.parse('2021-05-03T10:00:00.000Z'),
+                Date.parse('2021-05-03T10:14:59.999Z')
+            ),
+            []
+        );
+    });
+
+    it('should evaluate the expression in the given time zone', function() {
+        // 02:00 on weekdays in New York. Saturday 2021-05-01 12:00 UTC is
+        // followed by Monday 2021-05-03 02:00 EDT, which is 06:00 UTC.
+        const cron = new Cron({
+            expression: '0 2 * * 1-5',
+            timezone: 'America/New_York'
+        });
+
+        assert.equal(
+            cron.next(Date.parse('2021-05-01T12:00:00.000Z')),
+            Date.parse('2021-05-03T06:00:00.000Z')
+        );
+    });
+
+    it('should throw on invalid expressions', function() {
+        assert.throws(function() {
+            return new Cron({
+                expression: '* * * *'
+            });
+        }, /5 or 6 fields/);
+
+        assert.throws(function() {
+            return new Cron({
+                expression: '99 * * * *'
+            });
+        }, /invalid cron expression/);
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const Emitter = require('../lib/emitter');
+
+describe('Emitter', function() {
+    it('should call listeners in order of registration', function() {
+        const emitter = new Emitter();
+        const out = [];
+
+        emitter.on('foo', function(a, b) {
+            out.push(['on', a, b]);
+        });
+        emitter.once('foo', function(a) {
+            out.push(['once', a]);
+        });
+
+        assert.isTrue(emitter.emit('foo', 1, 2));
+        assert.isTrue(emitter.emit('foo', 3, 4));
+        assert.isFalse(emitter.emit('bar'));
+        assert.deepEqual(out, [
+            ['on', 1, 2],
+            ['once', 1],
+            ['on', 3, 4]
+        ]);
+        assert.equal(emitter.listenerCount('foo'), 1);
+        assert.deepEqual(emitter.eventNames(), ['foo']);
+    });
+
+    it('should remove listeners, including ones added via once', function() {
+        const emitter = new Emitter();
+        let count = 0;
+
+        function listener() {
+            count++;
+        }
+
+        emitter.on('foo', listener);
+        emitter.once('bar', listener);
+        assert.deepEqual(emitter.listeners('bar'), [listener]);
+
+        emitter.removeListener('foo', listener);
+        emitter.off('bar', listener);
+        emitter.emit('foo');
+        emitter.emit('bar');
+        assert.equal(count, 0);
+        assert.deepEqual(emitter.eventNames(), []);
+    });
+
+    it('should not call listeners added while emitting', function() {
+        const emitter = new Emitter();
+        let count = 0;
+
+        emitter.on('foo', function() {
+            emitter.on('foo', function() {
+                count++;
+            });
+        });
+
+        emitter.emit('foo');
+        assert.equal(count, 0);
+        emitter.emit('foo');
+        assert.equal(count, 1);
+    });
+
+    it('should throw an error event without a listener', function() {
+        const emitter = new Emitter();
+
+        assert.throws(function() {
+            emitter.emit('error', new Error('boom'));
+        }, /boom/);
+        assert.throws(function() {
+            emitter.emit('error', 'boom');
+        }, /Unhandled error. \(boom\)/);
+    });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+// core modules
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const pkg = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+const ESM_BUILD = path.join(ROOT, pkg.module);
+
+/**
+ * run a script in a child node process, and parse the JSON it logs.
+ * @param {Array} args arguments to node
+ * @return {Object} the logged JSON
+ */
+function run(args) {
+    const res = childProcess.spawnSync(process.execPath, args, {
+        cwd: ROOT,
+        encoding: 'utf8',
+        timeout: 30000
+    });
+
+    assert.equal(res.status, 0, res.stderr);
+    return JSON.parse(res.stdout);
+}
+
+describe('ES module build', function() {
+    before(function() {
+        assert.ok(fs.existsSync(ESM_BUILD), 'run `make build` first');
+    });
+
+    it('should load without CommonJS interop or node core modules', function() {
+        // a loader that refuses every import, so the build has to be self
+        // contained ES module code.
+        const script = [
+            "const fs = require('fs');",
+            "const vm = require('vm');",
+            'const mod = new vm.SourceTextModule(',
+            "    fs.readFileSync(process.argv[1], 'utf8')",
+            ');',
+            'mod.link(function(specifier) {',
+            "    throw new Error('unexpected import of ' + specifier);",
+            '}).then(function() {',
+            '    return mod.evaluate();',
+            '}).then(function() {',
+            '    const ns = mod.namespace;',
+            '    const clock = ns.createVirtualClock();',
+            '    const results = [];',
+            '    const timer = ns.create({',
+            '        func: function(callback) {',
+            '            return callback(null, clock.now());',
+            '        },',
+            '        interval: 100,',
+            '        clock: clock',
+            '    });',
+            "    timer.on('result', function(result) {",
+            '        results.push(result);',
+            '    });',
+            '    timer.start();',
+            '    clock.tick(200);',
+            '    timer.stop();',
+            '    console.log(JSON.stringify({',
+            '        exports: Object.keys(ns).sort(),',
+            '        defaults: Object.keys(ns.default).sort(),',
+            '        results: results',
+            '    }));',
+            '});'
+        ].join('\n');
+        const out = run([
+            '--experimental-vm-modules',
+            '--no-warnings',
+            '-e',
+            script,
+            ESM_BUILD
+        ]);
+        const names = [
+            'STOP',
+            'create',
+            'createMemoryLock',
+            'createMemoryStore',
+            'createPool',
+            'createScheduler',
+            'createVirtualClock',
+            'toPrometheus'
+        ];
+
+        assert.deepEqual(out.exports, ['default'].concat(names).sort());
+        assert.deepEqual(out.defaults, names);
+        assert.deepEqual(out.results, [0, 100, 200]);
+    });
+
+    it('should import the CommonJS entry by name in node', function() {
+        const script = [
+            "import { EventEmitter } from 'events';",
+            "import { create, createFileLock } from './" + pkg.main + "';",
+            'const timer = create({',
+            '    func: function(callback) {',
+            '        return callback();',
+            '    },',
+            '    interval: 100',
+            '});',
+            'console.log(JSON.stringify({',
+            '    emitter: timer instanceof EventEmitter,',
+            "    fileLock: typeof createFileLock === 'function'",
+            '}));'
+        ].join('\n');
+
+        assert.deepEqual(run(['--input-type=module', '-e', script]), {
+            emitter: true,
+            fileLock: true
+        });
+    });
+});
@@ -2,6 +2,9 @@
 
 'use strict';
 
+// core modules
+const EventEmitter = require('events');
+
 // external modules
 const chai = require('chai');
 const assert = chai.assert;
@@ -32,6 +35,29 @@ describe('Reissue module', function() {
         timer.start();
     });
 
+    it('should be an EventEmitter', function() {
+        const timer = reissue.create({
+            func: function(callback) {
+                return callback();
+            },
+            interval: 100
+        });
+        const order = [];
+
+        assert.instanceOf(timer, EventEmitter);
+        timer.setMaxListeners(20);
+        assert.equal(timer.getMaxListeners(), 20);
+        timer.on('pause', function() {
+            order.push('on');
+        });
+        timer.prependListener('pause', function() {
+            order.push('prepended');
+        });
+        timer.emit('pause');
+        assert.deepEqual(order, ['prepended', 'on']);
+        assert.lengthOf(timer.rawListeners('pause'), 2);
+    });
+
     it('should accept arguments', function(done) {
         let i = 0;
 
@@ -369,7 +395,9 @@ describe('Reissue module', function() {
             },
             interval: 100
         });
-        timer.on('stop', done);
+        timer.on('stop', function() {
+            return done();
+        });
         timer.stop();
     });
 
@@ -515,7 +543,9 @@ describe('Reissue module', function() {
             // first invocation should fire, and while we're waiting for it to
             // complete (250ms) stop is called. timeout event should not fire.
             setTimeout(function() {
-                timer.on('stop', done);
+                timer.on('stop', function() {
+                    return done();
+                });
                 timer.stop();
             }, 100);
         }
@@ -570,6 +600,39 @@ describe('Reissue module', function() {
         return done();
     });
 
+    it('should unref timer handles without an unref method', function() {
+        // timers are identified by number in browsers and Deno.
+        const virtual = reissue.createVirtualClock();
+        const handles = new Map();
+        let count = 0;
+
+        const timer = reissue.create({
+            clock: {
+                now: virtual.now,
+                setTimeout: function(fn, delay) {
+                    const id = handles.size + 1;
+                    handles.set(id, virtual.setTimeout(fn, delay));
+                    return id;
+                },
+                clearTimeout: function(id) {
+                    virtual.clearTimeout(handles.get(id));
+                },
+                setImmediate: virtual.setImmediate
+            },
+            interval: 100,
+            unref: true,
+            func: function(callback) {
+                count++;
+                return callback();
+            }
+        });
+
+        timer.start();
+        virtual.tick(250);
+        assert.equal(count, 3);
+        return timer.stop();
+    });
+
     it('GH-4: should pass elapsed time to custom interval function', function(done) {
         let i = 1;
 
@@ -594,8 +657,3974 @@ describe('Reissue module', function() {
         });
 
         setTimeout(function() {
-            timer.on('stop', done);
+            timer.on('stop', function() {
+                return done();
+            });
             timer.stop();
         }, 200);
     });
+
+    it('should accept a func that returns a promise', function() {
+        const clock = reissue.createVirtualClock();
+        const startTimes = [];
+        const endTimes = [];
+        const timer = reissue.create({
+            func: function() {
+                startTimes.push(clock.now());
+                return new Promise(function(resolve) {
+                    clock.setTimeout(function() {
+                        endTimes.push(clock.now());
+                        return resolve();
+                    }, 10);
+                });
+            },
+            interval: 50,
+            clock: clock
+        });
+
+        timer.on('error', function(err) {
+            assert.fail(err);
+        });
+
+        timer.start();
+
+        return clock.tickAsync(220).then(function() {
+            // 10ms of work every 50ms, counted from the start of each
+            // invocation.
+            assert.deepEqual(startTimes, [0, 50, 100, 150, 200]);
+            assert.deepEqual(endTimes, [10, 60, 110, 160, 210]);
+            return timer.stop();
+        });
+    });
+
+    it('should emit error when returned promise rejects', function(done) {
+        let i = 0;
+        let errFired = false;
+
+        const timer = reissue.create({
+            func: function() {
+                i++;
+
+                if (i === 2) {
+                    return Promise.reject(new Error('boom'));
+                }
+
+                if (i === 5) {
+                    assert.isTrue(errFired);
+                    timer.stop();
+                    return done();
+                }
+
+                return Promise.resolve();
+            },
+            interval: 50
+        });
+
+        timer.on('error', function(err) {
+            assert.ok(err);
+            assert.equal(err.message, 'boom');
+            errFired = true;
+        });
+
+        timer.start();
+    });
+
+    it('should emit error when promise rejects with falsy value', function(done) {
+        const timer = reissue.create({
+            func: function() {
+                return Promise.reject();
+            },
+            interval: 50
+        });
+
+        timer.on('error', function(err) {
+            assert.ok(err);
+            assert.instanceOf(err, Error);
+            timer.on('stop', function() {
+                return done();
+            });
+            timer.stop();
+        });
+
+        timer.start();
+    });
+
+    it('should not stay in flight when a rejection goes unhandled', function() {
+        const clock = reissue.createVirtualClock();
+        const boom = new Error('boom');
+        const unhandled = new Promise(function(resolve) {
+            process.once('unhandledRejection', resolve);
+        });
+        const timer = reissue.create({
+            func: function() {
+                return Promise.reject(boom);
+            },
+            interval: 50,
+            clock: clock
+        });
+
+        // no error listener, so the error is thrown from the promise chain.
+        timer.start();
+        clock.tick(0);
+
+        return unhandled
+            .then(function(reason) {
+                assert.strictEqual(reason, boom);
+                assert.equal(timer.getState(), 'waiting');
+                return timer.stop();
+            })
+            .then(function(info) {
+                assert.equal(info.reason, 'manual');
+            });
+    });
+
+    it('should emit error when func calls back and returns a promise', function(done) {
+        let i = 0;
+
+        const timer = reissue.create({
+            func: function(callback) {
+                i++;
+                callback();
+                return Promise.resolve();
+            },
+            interval: 50
+        });
+
+        timer.on('error', function(err) {
+            assert.ok(err);
+            assert.include(err.message, 'not both');
+            // invocation was settled by the callback, so only one run has
+            // happened so far.
+            assert.equal(i, 1);
+            timer.on('stop', function() {
+                return done();
+            });
+            timer.stop();
+        });
+
+        timer.start();
+    });
+
+    it('should emit misuse when func calls back more than once', function() {
+        const clock = reissue.createVirtualClock();
+        const startTimes = [];
+        const misuses = [];
+        const timer = reissue.create({
+            func: function calledTwice(callback) {
+                startTimes.push(clock.now());
+                // late extra call, after the next invocation has started
+                clock.setTimeout(callback, 150);
+
+                if (startTimes.length === 1) {
+                    callback();
+                    return callback();
+                }
+                return callback();
+            },
+            interval: 100,
+            clock: clock
+        });
+
+        timer.on('misuse', function(err, info) {
+            assert.instanceOf(err, Error);
+            assert.include(err.message, 'called more than once');
+            misuses.push([clock.now(), info.invocation, err.stack]);
+        });
+
+        timer.start();
+        clock.tick(250);
+        timer.stop();
+
+        // the extra calls don't schedule extra invocations
+        assert.deepEqual(startTimes, [0, 100, 200]);
+        assert.deepEqual(
+            misuses.map(function(misuse) {
+                return misuse.slice(0, 2);
+            }),
+            [
+                [0, 1],
+                [150, 1],
+                [250, 2]
+            ]
+        );
+        // the stack trace leads back to the offending call
+        assert.include(misuses[0][2], 'calledTwice');
+    });
+
+    it('should emit error when func returns a promise and calls back later', function(done) {
+        const timer = reissue.create({
+            func: function(callback) {
+                setTimeout(callback, 10);
+                return new Promise(function(resolve) {
+                    setTimeout(resolve, 100);
+                });
+            },
+            interval: 500
+        });
+
+        timer.on('error', function(err) {
+            assert.ok(err);
+            assert.include(err.message, 'not both');
+            timer.on('stop', function() {
+                return done();
+            });
+            timer.stop();
+        });
+
+        timer.start();
+    });
+
+    it('should pass attempt and delay to error event', function() {
+        const clock = reissue.createVirtualClock();
+        const outcomes = [true, true, false, true, false];
+        const startTimes = [];
+        const infos = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                startTimes.push(clock.now());
+                return callback(outcomes.shift() ? new Error('boom') : null);
+            },
+            interval: 50,
+            clock: clock
+        });
+
+        timer.on('error', function(err, info) {
+            assert.ok(err);
+            infos.push([info.attempt, info.delay]);
+        });
+
+        timer.start();
+        clock.tick(200);
+        timer.stop();
+
+        assert.deepEqual(startTimes, [0, 50, 100, 150, 200]);
+        assert.deepEqual(infos, [
+            [1, 50],
+            [2, 50],
+            [1, 50]
+        ]);
+    });
+
+    it('should back off exponentially after consecutive errors', function() {
+        const clock = reissue.createVirtualClock();
+        const outcomes = [true, true, true, false, false];
+        const startTimes = [];
+        const infos = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                startTimes.push(clock.now());
+                return callback(outcomes.shift() ? new Error('boom') : null);
+            },
+            interval: 10,
+            backoff: {
+                base: 100,
+                factor: 2,
+                max: 1000,
+                jitter: 'none'
+            },
+            clock: clock
+        });
+
+        timer.on('error', function(err, info) {
+            assert.ok(err);
+            infos.push([info.attempt, info.delay]);
+        });
+
+        timer.start();
+        clock.tick(710);
+        timer.stop();
+
+        // after a success, we're back on the normal interval.
+        assert.deepEqual(startTimes, [0, 100, 300, 700, 710]);
+        assert.deepEqual(infos, [
+            [1, 100],
+            [2, 200],
+            [3, 400]
+        ]);
+    });
+
+    it('should cap backoff delay at max', function() {
+        const clock = reissue.createVirtualClock();
+        const startTimes = [];
+        const delays = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                startTimes.push(clock.now());
+                return callback(new Error('boom'));
+            },
+            interval: 1,
+            backoff: {
+                base: 10,
+                factor: 2,
+                max: 30,
+                jitter: 'none'
+            },
+            clock: clock
+        });
+
+        timer.on('error', function(err, info) {
+            assert.ok(err);
+            delays.push(info.delay);
+        });
+
+        timer.start();
+        clock.tick(90);
+        timer.stop();
+
+        assert.deepEqual(startTimes, [0, 10, 30, 60, 90]);
+        assert.deepEqual(delays, [10, 20, 30, 30, 30]);
+    });
+
+    it('should apply full and decorrelated jitter', function() {
+        const random = Math.random;
+
+        function run(jitter) {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const delays = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback(new Error('boom'));
+                },
+                interval: 1,
+                backoff: {
+                    base: 10,
+                    factor: 2,
+                    max: 25,
+                    jitter: jitter
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err, info) {
+                assert.ok(err);
+                delays.push(info.delay);
+            });
+
+            timer.start();
+            clock.tick(60);
+            timer.stop();
+
+            return { startTimes: startTimes, delays: delays };
+        }
+
+        // always pick the middle of the range.
+        Math.random = function() {
+            return 0.5;
+        };
+
+        try {
+            // full jitter picks between 0 and the exponential delay.
+            assert.deepEqual(run('full'), {
+                startTimes: [0, 5, 15, 28, 41, 54],
+                delays: [5, 10, 13, 13, 13, 13]
+            });
+            // decorrelated jitter picks between the base and the previous
+            // delay times the factor.
+            assert.deepEqual(run('decorrelated'), {
+                startTimes: [0, 15, 35, 60],
+                delays: [15, 20, 25, 25]
+            });
+        } finally {
+            Math.random = random;
+        }
+    });
+
+    it('should reset backoff only after resetAfter successes', function() {
+        const clock = reissue.createVirtualClock();
+        // fail, fail, succeed, fail, succeed, succeed, fail
+        const outcomes = [true, true, false, true, false, false, true];
+        const attempts = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                return callback(outcomes.shift() ? new Error('boom') : null);
+            },
+            interval: 1,
+            backoff: {
+                base: 1,
+                factor: 1,
+                max: 1,
+                jitter: 'none',
+                resetAfter: 2
+            },
+            clock: clock
+        });
+
+        timer.on('error', function(err, info) {
+            assert.ok(err);
+            attempts.push(info.attempt);
+        });
+
+        timer.start();
+        clock.tick(6);
+        timer.stop();
+
+        assert.equal(outcomes.length, 0);
+        assert.deepEqual(attempts, [1, 2, 3, 1]);
+    });
+
+    it('should throw on invalid backoff options', function() {
+        assert.throws(function() {
+            reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100,
+                backoff: {
+                    jitter: 'random'
+                }
+            });
+        });
+
+        assert.throws(function() {
+            reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100,
+                backoff: {
+                    base: 1000,
+                    max: 10
+                }
+            });
+        });
+    });
+
+    it('should schedule invocations with a cron expression', function() {
+        // half a second past a whole second
+        const clock = reissue.createVirtualClock({ now: 1577836800500 });
+        const startTimes = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                startTimes.push(clock.now() - 1577836800000);
+                return callback();
+            },
+            cron: '* * * * * *',
+            clock: clock
+        });
+
+        timer.start();
+        // cron never invokes synchronously on start
+        clock.tick(0);
+        assert.lengthOf(startTimes, 0);
+
+        // every invocation lands on a whole second, one second apart.
+        clock.tick(2500);
+        assert.deepEqual(startTimes, [1000, 2000, 3000]);
+        timer.stop();
+    });
+
+    it('should skip cron slots missed during a long invocation', function() {
+        const clock = reissue.createVirtualClock({ now: 1577836800500 });
+        const startTimes = [];
+        const timer = reissue.create({
+            func: function(callback) {
+                startTimes.push(clock.now() - 1577836800000);
+
+                // the first invocation runs past the next slot
+                return startTimes.length === 1
+                    ? clock.setTimeout(callback, 1300)
+                    : callback();
+            },
+            cron: '* * * * * *',
+            clock: clock
+        });
+
+        timer.start();
+        clock.tick(3000);
+
+        // the slot one second after the first was missed, so the second
+        // invocation lands two seconds after the first.
+        assert.deepEqual(startTimes, [1000, 3000]);
+        timer.stop();
+    });
+
+    it('should throw on invalid cron options', function() {
+        function func(callback) {
+            return callback();
+        }
+
+        // interval and cron together
+        assert.throws(function() {
+            reissue.create({
+                func: func,
+                interval: 100,
+                cron: '* * * * *'
+            });
+        });
+
+        // too many fields
+        assert.throws(function() {
+            reissue.create({
+                func: func,
+                cron: '* * * * * * *'
+            });
+        });
+
+        // unparseable expression
+        assert.throws(function() {
+            reissue.create({
+                func: func,
+                cron: '* * * foo *'
+            });
+        });
+
+        // unknown time zone
+        assert.throws(function() {
+            reissue.create({
+                func: func,
+                cron: '* * * * *',
+                timezone: 'Not/AZone'
+            });
+        });
+
+        // time zone without cron
+        assert.throws(function() {
+            reissue.create({
+                func: func,
+                interval: 100,
+                timezone: 'UTC'
+            });
+        });
+    });
+
+    describe('with a virtual clock', function() {
+        it('should run long intervals without waiting', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 60 * 60 * 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(3 * 60 * 60 * 1000);
+            timer.stop();
+
+            assert.deepEqual(startTimes, [
+                0,
+                60 * 60 * 1000,
+                2 * 60 * 60 * 1000,
+                3 * 60 * 60 * 1000
+            ]);
+        });
+
+        it('should subtract invocation time from the interval', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(callback, 300);
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(2000);
+            timer.stop();
+
+            assert.deepEqual(startTimes, [0, 1000, 2000]);
+        });
+
+        it('should start after delay', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 100,
+                clock: clock
+            });
+
+            timer.start(5000);
+            clock.tick(4999);
+            assert.deepEqual(startTimes, []);
+            clock.tick(101);
+            timer.stop();
+
+            assert.deepEqual(startTimes, [5000, 5100]);
+        });
+
+        it('should emit timeout event', function() {
+            const clock = reissue.createVirtualClock();
+            let timeoutAt = null;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 30 * 1000);
+                },
+                interval: 60 * 1000,
+                timeout: 10 * 1000,
+                clock: clock
+            });
+
+            timer.on('timeout', function() {
+                timeoutAt = clock.now();
+            });
+
+            timer.start();
+            clock.tick(20 * 1000);
+            assert.equal(timeoutAt, 10 * 1000);
+
+            let stopped = false;
+            timer.on('stop', function() {
+                stopped = true;
+            });
+            timer.stop();
+            clock.tick(10 * 1000);
+            assert.isTrue(stopped);
+            assert.equal(clock.countTimers(), 0);
+        });
+
+        it('should settle promise returning funcs with tickAsync', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function() {
+                    startTimes.push(clock.now());
+                    return new Promise(function(resolve) {
+                        clock.setTimeout(resolve, 100);
+                    });
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+
+            return clock.tickAsync(3000).then(function() {
+                timer.stop();
+                assert.deepEqual(startTimes, [0, 1000, 2000, 3000]);
+            });
+        });
+
+        it('should schedule cron expressions against the clock', function() {
+            const clock = reissue.createVirtualClock({
+                now: Date.parse('2021-05-03T10:07:00.000Z')
+            });
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(new Date(clock.now()).toISOString());
+                    return callback();
+                },
+                cron: '*/15 * * * *',
+                timezone: 'UTC',
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(60 * 60 * 1000);
+            timer.stop();
+
+            assert.deepEqual(startTimes, [
+                '2021-05-03T10:15:00.000Z',
+                '2021-05-03T10:30:00.000Z',
+                '2021-05-03T10:45:00.000Z',
+                '2021-05-03T11:00:00.000Z'
+            ]);
+        });
+
+        it('should wait out delays too large for setTimeout', function() {
+            const clock = reissue.createVirtualClock({
+                now: Date.parse('2021-05-03T00:00:00.000Z')
+            });
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(new Date(clock.now()).toISOString());
+                    return callback();
+                },
+                // once a year
+                cron: '0 0 1 1 *',
+                timezone: 'UTC',
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(365 * 24 * 60 * 60 * 1000);
+            timer.stop();
+
+            assert.deepEqual(startTimes, ['2022-01-01T00:00:00.000Z']);
+        });
+
+        it('should throw on invalid clock', function() {
+            assert.throws(function() {
+                reissue.create({
+                    func: function(callback) {
+                        return callback();
+                    },
+                    interval: 100,
+                    clock: {
+                        now: Date.now
+                    }
+                });
+            });
+        });
+    });
+
+    describe('stats', function() {
+        it('should start out empty', function() {
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100
+            });
+            const stats = timer.getStats();
+
+            assert.equal(stats.invocations, 0);
+            assert.equal(stats.successes, 0);
+            assert.equal(stats.errors, 0);
+            assert.equal(stats.timeouts, 0);
+            assert.isNull(stats.lastStartTime);
+            assert.isNull(stats.lastEndTime);
+            assert.isNull(stats.lastDuration);
+            assert.isNull(stats.lastError);
+            assert.isNull(stats.lastWait);
+            assert.deepEqual(stats.wait, { count: 0, sum: 0 });
+            assert.equal(stats.duration.count, 0);
+            assert.isNull(stats.duration.p50);
+        });
+
+        it('should collect counts, times and durations', function() {
+            const clock = reissue.createVirtualClock();
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    // durations of 10, 20, ... 100ms. every third
+                    // invocation fails, and the 100ms one times out.
+                    return clock.setTimeout(function() {
+                        return callback(
+                            i % 3 === 0 ? new Error('boom ' + i) : null
+                        );
+                    }, i * 10);
+                },
+                interval: 1000,
+                timeout: 95,
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+            });
+
+            timer.start();
+            clock.tick(9100);
+            timer.stop();
+
+            const stats = timer.getStats();
+            assert.equal(stats.invocations, 10);
+            assert.equal(stats.successes, 7);
+            assert.equal(stats.errors, 3);
+            assert.equal(stats.timeouts, 1);
+            assert.equal(stats.lastStartTime, 9000);
+            assert.equal(stats.lastEndTime, 9100);
+            assert.equal(stats.lastDuration, 100);
+            assert.equal(stats.lastError.message, 'boom 9');
+
+            assert.equal(stats.duration.count, 10);
+            assert.equal(stats.duration.sum, 550);
+            assert.equal(stats.duration.p50, 50);
+            assert.equal(stats.duration.p90, 90);
+            assert.equal(stats.duration.p99, 100);
+            assert.deepEqual(
+                stats.duration.buckets.slice(0, 6).map(function(bucket) {
+                    return [bucket.le, bucket.count];
+                }),
+                [
+                    [5, 0],
+                    [10, 1],
+                    [25, 2],
+                    [50, 5],
+                    [100, 10],
+                    [250, 10]
+                ]
+            );
+        });
+
+        it('should render stats in prometheus format', function() {
+            const clock = reissue.createVirtualClock({ now: 5000 });
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 20);
+                },
+                interval: 1000,
+                clock: clock,
+                name: 'refresh'
+            });
+            const idle = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 1000,
+                clock: clock,
+                name: 'idle'
+            });
+
+            timer.start();
+            clock.tick(20);
+            timer.stop();
+
+            const output = reissue.toPrometheus([timer, idle]);
+            const lines = output.split('\n');
+
+            assert.include(lines, '# TYPE reissue_invocations_total counter');
+            assert.include(
+                lines,
+                'reissue_invocations_total{name="refresh"} 1'
+            );
+            assert.include(lines, 'reissue_invocations_total{name="idle"} 0');
+            assert.include(lines, 'reissue_successes_total{name="refresh"} 1');
+            assert.include(lines, 'reissue_errors_total{name="refresh"} 0');
+            assert.include(lines, 'reissue_timeouts_total{name="refresh"} 0');
+            assert.include(
+                lines,
+                'reissue_wait_seconds_total{name="refresh"} 0'
+            );
+            assert.include(
+                lines,
+                'reissue_last_start_timestamp_seconds{name="refresh"} 5'
+            );
+            assert.include(
+                lines,
+                'reissue_last_end_timestamp_seconds{name="refresh"} 5.02'
+            );
+            // idle handler has no timestamps to report
+            assert.notInclude(
+                lines,
+                'reissue_last_start_timestamp_seconds{name="idle"} null'
+            );
+            assert.include(lines, '# TYPE reissue_duration_seconds histogram');
+            assert.include(
+                lines,
+                'reissue_duration_seconds_bucket{name="refresh",le="0.01"} 0'
+            );
+            assert.include(
+                lines,
+                'reissue_duration_seconds_bucket{name="refresh",le="0.025"} 1'
+            );
+            assert.include(
+                lines,
+                'reissue_duration_seconds_bucket{name="refresh",le="+Inf"} 1'
+            );
+            assert.include(
+                lines,
+                'reissue_duration_seconds_sum{name="refresh"} 0.02'
+            );
+            assert.include(
+                lines,
+                'reissue_duration_seconds_count{name="refresh"} 1'
+            );
+            assert.equal(output[output.length - 1], '\n');
+        });
+
+        it('should render a map of handlers with a prefix', function() {
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 1000
+            });
+
+            const output = reissue.toPrometheus(
+                { 'my "job"': timer },
+                { prefix: 'app_' }
+            );
+
+            assert.include(
+                output,
+                'app_invocations_total{name="my \\"job\\""} 0\n'
+            );
+        });
+
+        it('should throw when rendering handlers without a name', function() {
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 1000
+            });
+
+            assert.throws(function() {
+                reissue.toPrometheus([timer]);
+            });
+        });
+    });
+
+    describe('abort signal', function() {
+        // the same feature check as opts.abortSignal, e.g., node < 15
+        function requireAbortController(test) {
+            if (typeof AbortController !== 'function') {
+                test.skip();
+            }
+        }
+
+        it('should pass a fresh signal before the callback', function() {
+            requireAbortController(this);
+
+            const clock = reissue.createVirtualClock();
+            const signals = [];
+            const timer = reissue.create({
+                func: function(argStr, signal, callback) {
+                    assert.equal(argStr, 'hello');
+                    assert.instanceOf(signal, AbortSignal);
+                    assert.isFalse(signal.aborted);
+                    signals.push(signal);
+                    return callback();
+                },
+                args: ['hello'],
+                interval: 100,
+                abortSignal: true,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(100);
+            timer.stop();
+
+            assert.lengthOf(signals, 2);
+            assert.notStrictEqual(signals[0], signals[1]);
+            assert.isFalse(signals[0].aborted);
+        });
+
+        it('should pass a signal to promise returning funcs', function() {
+            requireAbortController(this);
+
+            const clock = reissue.createVirtualClock();
+            let received;
+            const timer = reissue.create({
+                func: function(signal) {
+                    received = signal;
+                    return Promise.resolve();
+                },
+                interval: 100,
+                abortSignal: true,
+                clock: clock
+            });
+
+            timer.start();
+            return clock.tickAsync(0).then(function() {
+                timer.stop();
+                assert.instanceOf(received, AbortSignal);
+            });
+        });
+
+        it('should abort the signal on timeout', function() {
+            requireAbortController(this);
+
+            const clock = reissue.createVirtualClock();
+            let abortedAt = null;
+            let reason;
+            const timer = reissue.create({
+                func: function(signal, callback) {
+                    signal.addEventListener('abort', function() {
+                        abortedAt = clock.now();
+                        reason = signal.reason;
+                        return callback(new Error('aborted'));
+                    });
+                },
+                interval: 1000,
+                timeout: 300,
+                abortSignal: true,
+                clock: clock
+            });
+            const errors = [];
+
+            timer.on('error', function(err) {
+                errors.push(err.message);
+            });
+
+            timer.start();
+            clock.tick(300);
+            timer.stop();
+
+            assert.equal(abortedAt, 300);
+            assert.deepEqual(errors, ['aborted']);
+            if (reason) {
+                // abort reasons are only supported on newer node versions
+                assert.include(reason.message, 'timed out');
+            }
+        });
+
+        it('should abort the signal when stop() is called', function() {
+            requireAbortController(this);
+
+            const clock = reissue.createVirtualClock();
+            let stopped = false;
+            const timer = reissue.create({
+                func: function(signal, callback) {
+                    signal.addEventListener('abort', function() {
+                        return clock.setTimeout(callback, 10);
+                    });
+                },
+                interval: 1000,
+                abortSignal: true,
+                clock: clock
+            });
+
+            timer.on('stop', function() {
+                stopped = true;
+            });
+
+            timer.start();
+            clock.tick(500);
+            timer.stop();
+            assert.isFalse(stopped);
+            clock.tick(10);
+            assert.isTrue(stopped);
+        });
+
+        it('should not pass a signal by default', function() {
+            const clock = reissue.createVirtualClock();
+            let argCount;
+            const timer = reissue.create({
+                func: function(callback) {
+                    argCount = arguments.length;
+                    return callback();
+                },
+                interval: 100,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(0);
+            timer.stop();
+            assert.equal(argCount, 1);
+        });
+    });
+
+    describe('graceful stop', function() {
+        it('should resolve stop() right away when idle', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(500);
+
+            return timer.stop().then(function(res) {
+                assert.deepEqual(res, { reason: 'manual', forced: false });
+                assert.equal(clock.countTimers(), 0);
+            });
+        });
+
+        it('should resolve stop() once the current run completes', function() {
+            const clock = reissue.createVirtualClock();
+            let stopEvents = 0;
+            let resolved = null;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 1000);
+                },
+                interval: 5000,
+                clock: clock
+            });
+
+            timer.on('stop', function() {
+                stopEvents++;
+            });
+
+            timer.start();
+            clock.tick(500);
+
+            // calling stop multiple times while in flight should only stop
+            // once, after the invocation completes.
+            timer.stop();
+            const stopped = timer.stop().then(function(res) {
+                resolved = res;
+            });
+
+            return clock
+                .tickAsync(499)
+                .then(function() {
+                    assert.isNull(resolved);
+                    assert.equal(stopEvents, 0);
+                    return clock.tickAsync(1);
+                })
+                .then(function() {
+                    return stopped;
+                })
+                .then(function() {
+                    assert.deepEqual(resolved, {
+                        reason: 'manual',
+                        forced: false
+                    });
+                    assert.equal(stopEvents, 1);
+                });
+        });
+
+        it('should not force stop when run completes before deadline', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 1000);
+                },
+                interval: 5000,
+                clock: clock
+            });
+
+            timer.start();
+            const stopped = timer.stop({ deadline: 2000 });
+            clock.tick(1000);
+
+            return stopped.then(function(res) {
+                assert.deepEqual(res, { reason: 'manual', forced: false });
+                // deadline timer should have been cleared
+                assert.equal(clock.countTimers(), 0);
+            });
+        });
+
+        it('should abandon a stuck run once the deadline passes', function() {
+            const clock = reissue.createVirtualClock();
+            const callbacks = [];
+            const misuses = [];
+            let stopEvents = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    // never calls back on its own
+                    callbacks.push(callback);
+                },
+                interval: 1000,
+                timeout: 100,
+                clock: clock
+            });
+
+            timer.on('stop', function() {
+                stopEvents++;
+            });
+            timer.on('error', function(err) {
+                assert.fail(err);
+            });
+            timer.on('misuse', function(err, info) {
+                misuses.push([err.message, info.invocation]);
+            });
+
+            timer.start();
+            clock.tick(50);
+            const stopped = timer.stop({ deadline: 2000 });
+            clock.tick(1999);
+            assert.equal(stopEvents, 0);
+            clock.tick(1);
+            assert.equal(stopEvents, 1);
+
+            return stopped.then(function(res) {
+                assert.deepEqual(res, { reason: 'manual', forced: true });
+                assert.equal(clock.countTimers(), 0);
+
+                // late completion of the abandoned run is reported as misuse,
+                // and otherwise ignored
+                callbacks[0](new Error('late'));
+                clock.tick(5000);
+                assert.lengthOf(callbacks, 1);
+                assert.equal(stopEvents, 1);
+                assert.equal(timer.getStats().errors, 0);
+                assert.deepEqual(misuses, [
+                    ['invocation 1 completed after it was abandoned', 1]
+                ]);
+            });
+        });
+
+        it('should restart after a forced stop', function() {
+            const clock = reissue.createVirtualClock();
+            const callbacks = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    callbacks.push(callback);
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(0);
+
+            const stopped = timer.stop({ deadline: 10 });
+            clock.tick(10);
+
+            return stopped
+                .then(function(res) {
+                    assert.isTrue(res.forced);
+                    timer.start();
+                    clock.tick(0);
+                    assert.lengthOf(callbacks, 2);
+
+                    // the abandoned run's callback must not complete the new
+                    // run.
+                    callbacks[0]();
+                    clock.tick(5000);
+                    assert.lengthOf(callbacks, 2);
+
+                    callbacks[1]();
+                    clock.tick(1000);
+                    assert.lengthOf(callbacks, 3);
+
+                    const restopped = timer.stop({ deadline: 0 });
+                    clock.tick(0);
+                    return restopped;
+                })
+                .then(function(res) {
+                    assert.isTrue(res.forced);
+                });
+        });
+
+        it('should restart after stopping while idle', function() {
+            const clock = reissue.createVirtualClock();
+            let count = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    count++;
+                    return callback();
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(500);
+            timer.stop();
+            timer.start();
+            clock.tick(1000);
+            timer.stop();
+
+            assert.equal(count, 3);
+        });
+
+        it('should throw when restarting before the current run completes', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 1000);
+                },
+                interval: 5000,
+                clock: clock
+            });
+
+            timer.start();
+            timer.stop();
+
+            assert.throws(function() {
+                timer.start();
+            });
+
+            clock.tick(1000);
+            timer.start();
+
+            const stopped = timer.stop({ deadline: 0 });
+            clock.tick(0);
+            return stopped.then(function(res) {
+                assert.isTrue(res.forced);
+            });
+        });
+    });
+
+    describe('pause and resume', function() {
+        function createTimer(clock, startTimes, duration) {
+            return reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(callback, duration || 0);
+                },
+                interval: 1000,
+                clock: clock
+            });
+        }
+
+        it('should pause and wait out the rest of the interval', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const events = [];
+            const timer = createTimer(clock, startTimes);
+
+            timer.on('pause', function() {
+                events.push('pause');
+            });
+            timer.on('resume', function() {
+                events.push('resume');
+            });
+
+            timer.start();
+            clock.tick(300);
+            timer.pause();
+            assert.isTrue(timer.isPaused());
+            assert.equal(timer.getState(), 'paused');
+
+            // nothing runs while paused
+            clock.tick(10000);
+            assert.deepEqual(startTimes, [0]);
+
+            // 700ms were left on the interval when paused
+            timer.resume();
+            assert.isFalse(timer.isPaused());
+            assert.equal(timer.getState(), 'waiting');
+            clock.tick(699);
+            assert.deepEqual(startTimes, [0]);
+            clock.tick(1);
+            assert.deepEqual(startTimes, [0, 11000]);
+            clock.tick(1000);
+            assert.deepEqual(startTimes, [0, 11000, 12000]);
+            timer.stop();
+
+            assert.deepEqual(events, ['pause', 'resume']);
+        });
+
+        it('should resume immediately', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = createTimer(clock, startTimes);
+
+            timer.start();
+            clock.tick(300);
+            timer.pause();
+            clock.tick(100);
+            timer.resume({ immediate: true });
+            clock.tick(0);
+            assert.deepEqual(startTimes, [0, 400]);
+            clock.tick(1000);
+            assert.deepEqual(startTimes, [0, 400, 1400]);
+            timer.stop();
+        });
+
+        it('should let an in flight invocation finish when paused', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = createTimer(clock, startTimes, 500);
+
+            timer.start();
+            clock.tick(200);
+            assert.equal(timer.getState(), 'running');
+            timer.pause();
+            assert.equal(timer.getState(), 'paused');
+
+            // invocation completes at 500, with 500ms left on the interval
+            clock.tick(2000);
+            assert.deepEqual(startTimes, [0]);
+            assert.equal(timer.getStats().successes, 1);
+
+            timer.resume();
+            clock.tick(499);
+            assert.deepEqual(startTimes, [0]);
+            clock.tick(1);
+            assert.deepEqual(startTimes, [0, 2700]);
+            timer.stop({ deadline: 0 });
+            clock.tick(0);
+        });
+
+        it('should schedule as usual when resumed before in flight invocation completes', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = createTimer(clock, startTimes, 500);
+
+            timer.start();
+            clock.tick(200);
+            timer.pause();
+            timer.resume();
+            clock.tick(800);
+            assert.deepEqual(startTimes, [0, 1000]);
+            timer.stop({ deadline: 0 });
+            clock.tick(0);
+        });
+
+        it('should skip cron slots missed while paused', function() {
+            const clock = reissue.createVirtualClock({
+                now: Date.parse('2021-05-03T10:07:00.000Z')
+            });
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(new Date(clock.now()).toISOString());
+                    return callback();
+                },
+                cron: '*/15 * * * *',
+                timezone: 'UTC',
+                clock: clock
+            });
+
+            timer.start();
+            timer.pause();
+            // skip past the 10:15 and 10:30 slots
+            clock.tick(30 * 60 * 1000);
+            timer.resume();
+            clock.tick(15 * 60 * 1000);
+            timer.stop();
+
+            assert.deepEqual(startTimes, ['2021-05-03T10:45:00.000Z']);
+        });
+
+        it('should stop while paused', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = createTimer(clock, startTimes);
+
+            timer.start();
+            clock.tick(0);
+            timer.pause();
+
+            return timer.stop().then(function(res) {
+                assert.isFalse(res.forced);
+                assert.isFalse(timer.isPaused());
+                assert.equal(timer.getState(), 'stopped');
+                assert.equal(clock.countTimers(), 0);
+            });
+        });
+
+        it('should report state', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = createTimer(clock, startTimes, 500);
+
+            assert.equal(timer.getState(), 'stopped');
+            timer.start();
+            assert.equal(timer.getState(), 'running');
+            clock.tick(500);
+            assert.equal(timer.getState(), 'waiting');
+            clock.tick(500);
+            timer.stop();
+            assert.equal(timer.getState(), 'stopping');
+            clock.tick(500);
+            assert.equal(timer.getState(), 'stopped');
+        });
+
+        it('should throw when pausing an inactive handler', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = createTimer(clock, []);
+
+            assert.throws(function() {
+                timer.pause();
+            });
+
+            // resume is a no-op when not paused
+            timer.resume();
+            assert.equal(timer.getState(), 'stopped');
+        });
+    });
+
+    describe('trigger', function() {
+        it('should run right away when idle, then resume the interval', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    i++;
+                    return clock.setTimeout(function() {
+                        return callback(null, i);
+                    }, 100);
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(400);
+
+            const triggered = timer.trigger();
+            return clock
+                .tickAsync(100)
+                .then(function() {
+                    return triggered;
+                })
+                .then(function(result) {
+                    assert.equal(result, 2);
+                    // regular interval resumes from the triggered run
+                    clock.tick(1000);
+                    assert.deepEqual(startTimes, [0, 400, 1400]);
+                    timer.stop({ deadline: 0 });
+                    clock.tick(0);
+                });
+        });
+
+        it('should queue exactly one follow-up run when in flight', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    i++;
+                    return clock.setTimeout(function() {
+                        return callback(null, i);
+                    }, 100);
+                },
+                interval: 1000,
+                clock: clock
+            });
+            const results = [];
+
+            timer.start();
+            clock.tick(50);
+
+            // all three triggers share a single follow-up run
+            const triggered = [
+                timer.trigger(),
+                timer.trigger(),
+                timer.trigger()
+            ];
+            triggered.forEach(function(promise) {
+                promise.then(function(result) {
+                    results.push(result);
+                });
+            });
+
+            return clock
+                .tickAsync(50)
+                .then(function() {
+                    // first run completed, follow-up starts right away
+                    assert.deepEqual(startTimes, [0, 100]);
+                    return clock.tickAsync(100);
+                })
+                .then(function() {
+                    return Promise.all(triggered);
+                })
+                .then(function() {
+                    assert.deepEqual(results, [2, 2, 2]);
+                    clock.tick(1000);
+                    assert.deepEqual(startTimes, [0, 100, 1100]);
+                    timer.stop({ deadline: 0 });
+                    clock.tick(0);
+                });
+        });
+
+        it('should reject when the triggered run fails', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback(new Error('boom'));
+                },
+                interval: 1000,
+                clock: clock
+            });
+            let errors = 0;
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+                errors++;
+            });
+
+            timer.start(500);
+            const triggered = timer.trigger();
+            clock.tick(0);
+
+            return triggered.then(
+                function() {
+                    assert.fail('should not resolve');
+                },
+                function(err) {
+                    assert.equal(err.message, 'boom');
+                    assert.equal(errors, 1);
+                    timer.stop();
+                }
+            );
+        });
+
+        it('should reject queued triggers when stopped', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 100);
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(50);
+            const triggered = timer.trigger();
+            timer.stop();
+            clock.tick(50);
+
+            return triggered.then(
+                function() {
+                    assert.fail('should not resolve');
+                },
+                function(err) {
+                    assert.include(err.message, 'stopped');
+                    assert.equal(timer.getStats().invocations, 1);
+                }
+            );
+        });
+
+        it('should run a trigger queued before pausing once resumed', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(callback, 100);
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(50);
+            const triggered = timer.trigger();
+            timer.pause();
+            clock.tick(1000);
+            assert.deepEqual(startTimes, [0]);
+            timer.resume();
+            clock.tick(100);
+
+            return triggered.then(function() {
+                assert.deepEqual(startTimes, [0, 1050]);
+                timer.stop();
+            });
+        });
+
+        it('should reject when not active or paused', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 1000,
+                clock: clock
+            });
+
+            return timer
+                .trigger()
+                .then(
+                    function() {
+                        assert.fail('should not resolve');
+                    },
+                    function(err) {
+                        assert.include(err.message, 'not active');
+                        timer.start(100);
+                        timer.pause();
+                        return timer.trigger();
+                    }
+                )
+                .then(
+                    function() {
+                        assert.fail('should not resolve');
+                    },
+                    function(err) {
+                        assert.include(err.message, 'paused');
+                        timer.stop();
+                    }
+                );
+        });
+    });
+
+    describe('limits', function() {
+        it('should stop after maxInvocations', function() {
+            const clock = reissue.createVirtualClock();
+            const stops = [];
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return callback();
+                },
+                interval: 100,
+                maxInvocations: 3,
+                clock: clock
+            });
+
+            timer.on('stop', function(info) {
+                stops.push(info.reason);
+            });
+            timer.start();
+            clock.runAll();
+
+            assert.equal(i, 3);
+            assert.equal(clock.now(), 200);
+            assert.deepEqual(stops, ['max-invocations']);
+            assert.equal(timer.getState(), 'stopped');
+        });
+
+        it('should count invocations again after a restart', function() {
+            const clock = reissue.createVirtualClock();
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return callback();
+                },
+                interval: 100,
+                maxInvocations: 2,
+                clock: clock
+            });
+
+            timer.start();
+            clock.runAll();
+            assert.equal(timer.stopReason, 'max-invocations');
+            timer.start();
+            assert.isNull(timer.stopReason);
+            clock.runAll();
+
+            assert.equal(i, 4);
+        });
+
+        it('should throw on maxInvocations below 1', function() {
+            [0, -1].forEach(function(maxInvocations) {
+                assert.throws(function() {
+                    reissue.create({
+                        func: function(callback) {
+                            return callback();
+                        },
+                        interval: 100,
+                        maxInvocations: maxInvocations
+                    });
+                }, /maxInvocations must be >= 1/);
+            });
+        });
+
+        it('should stop once the next invocation would be past until', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            let reason;
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 100,
+                until: new Date(250),
+                clock: clock
+            });
+
+            timer.on('stop', function(info) {
+                reason = info.reason;
+            });
+            timer.start();
+            clock.runAll();
+
+            assert.deepEqual(startTimes, [0, 100, 200]);
+            assert.equal(reason, 'deadline');
+        });
+
+        it('should not start at all if already past until', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            let reason;
+            const timer = reissue.create({
+                func: function(callback) {
+                    assert.fail('should not be invoked');
+                    return callback();
+                },
+                interval: 100,
+                until: 1050,
+                clock: clock
+            });
+
+            timer.on('stop', function(info) {
+                reason = info.reason;
+            });
+            timer.start(100);
+
+            assert.equal(reason, 'deadline');
+            assert.equal(clock.countTimers(), 0);
+        });
+
+        it('should stop when stopWhen returns true', function() {
+            const clock = reissue.createVirtualClock();
+            const seen = [];
+            let reason;
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return callback(null, i);
+                },
+                interval: 100,
+                stopWhen: function(err, result) {
+                    assert.isNull(err);
+                    seen.push(result);
+                    return result === 3;
+                },
+                clock: clock
+            });
+
+            timer.on('stop', function(info) {
+                reason = info.reason;
+            });
+            timer.start();
+            clock.runAll();
+
+            assert.deepEqual(seen, [1, 2, 3]);
+            assert.equal(reason, 'predicate');
+        });
+
+        it('should stop and emit the error when stopWhen throws', function() {
+            const clock = reissue.createVirtualClock();
+            const errors = [];
+            let runs = 0;
+            let reason;
+            const timer = reissue.create({
+                func: function() {
+                    runs++;
+                    return Promise.resolve(runs);
+                },
+                interval: 100,
+                stopWhen: function() {
+                    throw new Error('boom');
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err, info) {
+                errors.push([err.message, info.invocation, info.delay]);
+            });
+            timer.on('stop', function(info) {
+                reason = info.reason;
+            });
+            timer.start();
+
+            return clock.tickAsync(500).then(function() {
+                assert.equal(runs, 1);
+                assert.deepEqual(errors, [['boom', 1, null]]);
+                assert.equal(reason, 'predicate');
+                assert.equal(timer.getState(), 'stopped');
+                assert.equal(clock.countTimers(), 0);
+            });
+        });
+
+        it('should report manual stops', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100,
+                maxInvocations: 10,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(150);
+
+            return timer.stop().then(function(info) {
+                assert.deepEqual(info, { reason: 'manual', forced: false });
+            });
+        });
+
+        it('should keep the reason when stopped after stopping on its own', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100,
+                maxInvocations: 2,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(150);
+            assert.equal(timer.stopReason, 'max-invocations');
+
+            return timer.stop().then(function(info) {
+                assert.deepEqual(info, {
+                    reason: 'max-invocations',
+                    forced: false
+                });
+                assert.equal(timer.stopReason, 'max-invocations');
+            });
+        });
+
+        it('should pass the invocation context to the interval function', function() {
+            const clock = reissue.createVirtualClock();
+            const contexts = [];
+            const results = ['pending', 'pending', 'done'];
+            const stops = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    const status = results.shift();
+
+                    clock.setTimeout(function() {
+                        return status === 'pending' && contexts.length === 0
+                            ? callback(new Error('not ready'))
+                            : callback(null, status);
+                    }, 10);
+                },
+                // poll faster while pending, and stop once done
+                interval: function(elapsedTime, ctx) {
+                    assert.equal(elapsedTime, ctx.elapsedTime);
+                    contexts.push(ctx);
+
+                    if (ctx.result === 'done') {
+                        return reissue.STOP;
+                    }
+                    return ctx.error ? 100 : 50;
+                },
+                clock: clock
+            });
+
+            timer.on('error', function() {
+                // expected
+            });
+            timer.on('stop', function(info) {
+                stops.push(info.reason);
+            });
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(
+                contexts.map(function(ctx) {
+                    return [
+                        ctx.invocation,
+                        ctx.failures,
+                        ctx.error && ctx.error.message,
+                        ctx.result
+                    ];
+                }),
+                [
+                    [1, 1, 'not ready', undefined],
+                    [2, 0, null, 'pending'],
+                    [3, 0, null, 'done']
+                ]
+            );
+            assert.equal(timer.getStats().lastStartTime, 150);
+            assert.deepEqual(stops, ['interval']);
+        });
+
+        it('should stop when the interval function returns null', function() {
+            const clock = reissue.createVirtualClock();
+            let i = 0;
+            let reason;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return callback();
+                },
+                interval: function(elapsedTime, ctx) {
+                    return ctx.invocation < 3 ? 100 : null;
+                },
+                clock: clock
+            });
+
+            timer.on('stop', function(info) {
+                reason = info.reason;
+            });
+            timer.start();
+            clock.tick(1000);
+
+            assert.equal(i, 3);
+            assert.equal(reason, 'interval');
+        });
+    });
+
+    describe('circuit breaker', function() {
+        it('should open after consecutive errors and skip invocations', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const events = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback(new Error('boom'));
+                },
+                interval: 100,
+                circuitBreaker: {
+                    threshold: 3,
+                    cooldown: 1000
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+            });
+            ['open', 'half-open', 'close'].forEach(function(name) {
+                timer.on(name, function() {
+                    events.push(name + '@' + clock.now());
+                });
+            });
+            timer.start();
+            clock.tick(1000);
+
+            assert.deepEqual(startTimes, [0, 100, 200]);
+            assert.deepEqual(events, ['open@200']);
+            assert.equal(timer.getCircuitState(), 'open');
+
+            // trial run fails, which opens the circuit right back up
+            clock.tick(200);
+            assert.deepEqual(startTimes, [0, 100, 200, 1200]);
+            assert.deepEqual(events, [
+                'open@200',
+                'half-open@1200',
+                'open@1200'
+            ]);
+            assert.equal(timer.getCircuitState(), 'open');
+            timer.stop();
+        });
+
+        it('should close after a successful trial run', function() {
+            const clock = reissue.createVirtualClock();
+            const events = [];
+            let fail = true;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback(fail ? new Error('boom') : null);
+                },
+                interval: 100,
+                circuitBreaker: {
+                    threshold: 2,
+                    cooldown: 500
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+            });
+            ['open', 'half-open', 'close'].forEach(function(name) {
+                timer.on(name, function() {
+                    events.push(name);
+                    assert.equal(
+                        timer.getCircuitState(),
+                        name === 'close' ? 'closed' : name
+                    );
+                });
+            });
+            timer.start();
+            clock.tick(100);
+            fail = false;
+            clock.tick(500);
+
+            assert.deepEqual(events, ['open', 'half-open', 'close']);
+            assert.equal(timer.getCircuitState(), 'closed');
+            assert.equal(timer.getStats().invocations, 3);
+            timer.stop();
+        });
+
+        it('should only count errors within the window', function() {
+            const clock = reissue.createVirtualClock();
+            let opened = false;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback(new Error('boom'));
+                },
+                interval: 100,
+                circuitBreaker: {
+                    threshold: 3,
+                    window: 150,
+                    cooldown: 1000
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+            });
+            timer.on('open', function() {
+                opened = true;
+            });
+            timer.start();
+            clock.tick(1000);
+
+            assert.isFalse(opened);
+            assert.equal(timer.getCircuitState(), 'closed');
+            timer.stop();
+        });
+
+        it('should count timeouts as failures', function() {
+            const clock = reissue.createVirtualClock();
+            let timeouts = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return clock.setTimeout(callback, 50);
+                },
+                interval: 100,
+                timeout: 10,
+                circuitBreaker: {
+                    threshold: 2,
+                    cooldown: 1000
+                },
+                clock: clock
+            });
+
+            timer.on('timeout', function() {
+                timeouts++;
+            });
+            timer.start();
+            clock.tick(150);
+
+            assert.equal(timeouts, 2);
+            assert.equal(timer.getCircuitState(), 'open');
+            assert.equal(timer.getStats().invocations, 2);
+            timer.stop();
+        });
+
+        it('should reject trigger() while open', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback(new Error('boom'));
+                },
+                interval: 100,
+                circuitBreaker: {
+                    threshold: 1
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.ok(err);
+            });
+            timer.start();
+            clock.tick(0);
+
+            return timer.trigger().then(
+                function() {
+                    assert.fail('should not resolve');
+                },
+                function(err) {
+                    assert.include(err.message, 'circuit open');
+                    timer.stop();
+                }
+            );
+        });
+
+        it('should report closed without a circuit breaker', function() {
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100
+            });
+
+            assert.equal(timer.getCircuitState(), 'closed');
+        });
+    });
+
+    describe('pool', function() {
+        function slowHandler(clock, pool, log, name, priority) {
+            return reissue.create({
+                func: function(callback) {
+                    log.push(name + '@' + clock.now());
+                    return clock.setTimeout(callback, 100);
+                },
+                interval: 1000,
+                pool: pool,
+                priority: priority,
+                clock: clock
+            });
+        }
+
+        it('should limit concurrent invocations across handlers', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const log = [];
+            const a = slowHandler(clock, pool, log, 'a');
+            const b = slowHandler(clock, pool, log, 'b');
+
+            a.start();
+            b.start();
+            assert.equal(a.getState(), 'running');
+            assert.equal(b.getState(), 'queued');
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 1,
+                pending: 1
+            });
+
+            clock.tick(250);
+            assert.deepEqual(log, ['a@0', 'b@100']);
+
+            // wait time is reported separately from run time
+            const stats = b.getStats();
+            assert.equal(stats.lastWait, 100);
+            assert.deepEqual(stats.wait, { count: 1, sum: 100 });
+            assert.equal(stats.lastDuration, 100);
+            assert.equal(a.getStats().lastWait, 0);
+
+            a.stop();
+            b.stop();
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 0,
+                pending: 0
+            });
+        });
+
+        it('should hand out slots by priority', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const log = [];
+            const handlers = [
+                slowHandler(clock, pool, log, 'first'),
+                slowHandler(clock, pool, log, 'low', -1),
+                slowHandler(clock, pool, log, 'normal'),
+                slowHandler(clock, pool, log, 'high', 10)
+            ];
+
+            handlers.forEach(function(handler) {
+                handler.start();
+            });
+            clock.tick(400);
+
+            assert.deepEqual(log, [
+                'first@0',
+                'high@100',
+                'normal@200',
+                'low@300'
+            ]);
+            handlers.forEach(function(handler) {
+                handler.stop();
+            });
+        });
+
+        it('should give up the slot when stopped or paused while queued', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const log = [];
+            const a = slowHandler(clock, pool, log, 'a');
+            const b = slowHandler(clock, pool, log, 'b');
+            const c = slowHandler(clock, pool, log, 'c');
+
+            a.start();
+            b.start();
+            c.start();
+            b.stop();
+            c.pause();
+            assert.equal(pool.getStats().pending, 0);
+
+            clock.tick(150);
+            assert.deepEqual(log, ['a@0']);
+
+            // the invocation was due when paused, so it runs on resume
+            c.resume();
+            clock.tick(0);
+            assert.deepEqual(log, ['a@0', 'c@150']);
+            a.stop();
+            c.stop();
+        });
+
+        it('should not run a trigger ahead of the pool', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const log = [];
+            const a = slowHandler(clock, pool, log, 'a');
+            const b = slowHandler(clock, pool, log, 'b');
+
+            a.start();
+            b.start();
+            const triggered = b.trigger();
+            clock.tick(200);
+
+            return triggered.then(function() {
+                assert.deepEqual(log, ['a@0', 'b@100']);
+                a.stop();
+                b.stop();
+            });
+        });
+
+        it('should keep the slot of an invocation that timed out until it completes', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const startTimes = [];
+            const errors = [];
+            const misuses = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    // the first invocation hangs past its timeout
+                    clock.setTimeout(
+                        callback,
+                        startTimes.length === 1 ? 90 : 10
+                    );
+                },
+                interval: 70,
+                timeout: 50,
+                timeoutPolicy: 'abandon',
+                pool: pool,
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                errors.push(err.message);
+            });
+            timer.on('misuse', function(err, info) {
+                assert.instanceOf(err, Error);
+                misuses.push([clock.now(), info.invocation]);
+            });
+
+            timer.start();
+            clock.tick(70);
+            // the next invocation is due, but the abandoned one still runs
+            assert.equal(timer.getState(), 'queued');
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 1,
+                pending: 1
+            });
+
+            clock.tick(20);
+            assert.deepEqual(startTimes, [0, 90]);
+            assert.deepEqual(errors, ['invocation timed out after 50ms']);
+            assert.deepEqual(misuses, [[90, 1]]);
+            assert.equal(timer.getStats().lastWait, 20);
+
+            timer.stop();
+            clock.tick(10);
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 0,
+                pending: 0
+            });
+        });
+
+        it('should keep the slot of an invocation abandoned by stop() until it completes', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const callbacks = [];
+            let misuses = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    callbacks.push(callback);
+                },
+                interval: 100,
+                pool: pool,
+                clock: clock
+            });
+
+            timer.on('misuse', function() {
+                misuses++;
+            });
+
+            timer.start();
+            clock.tick(10);
+            const stopped = timer.stop({ deadline: 50 });
+            clock.tick(50);
+
+            return stopped.then(function(res) {
+                assert.deepEqual(res, { reason: 'manual', forced: true });
+                assert.equal(pool.getStats().running, 1);
+
+                callbacks[0]();
+                assert.equal(pool.getStats().running, 0);
+                assert.equal(misuses, 1);
+            });
+        });
+
+        it('should give back the slot of a timed out invocation that never completes', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const hungStarts = [];
+            const otherStarts = [];
+            const hung = reissue.create({
+                func: function() {
+                    // never calls back
+                    hungStarts.push(clock.now());
+                },
+                interval: 100,
+                timeout: 50,
+                timeoutPolicy: 'abandon',
+                pool: pool,
+                clock: clock
+            });
+            const other = reissue.create({
+                func: function(callback) {
+                    otherStarts.push(clock.now());
+                    clock.setTimeout(callback, 10);
+                },
+                interval: 100,
+                pool: pool,
+                clock: clock
+            });
+
+            hung.on('error', function(err) {
+                assert.equal(err.message, 'invocation timed out after 50ms');
+            });
+
+            hung.start();
+            other.start();
+            clock.tick(50);
+            // abandoned, but the slot is kept for another timeout
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 1,
+                pending: 1
+            });
+
+            clock.tick(50);
+            assert.deepEqual(otherStarts, [100]);
+            clock.tick(60);
+            assert.deepEqual(hungStarts, [0, 110]);
+
+            hung.stop();
+            other.stop();
+            clock.tick(100);
+            assert.deepEqual(pool.getStats(), {
+                concurrency: 1,
+                running: 0,
+                pending: 0
+            });
+        });
+
+        it('should give back the slot of an invocation abandoned by stop() that never completes', function() {
+            const clock = reissue.createVirtualClock();
+            const pool = reissue.createPool({ concurrency: 1 });
+            const timer = reissue.create({
+                func: function() {
+                    // never calls back
+                },
+                interval: 100,
+                pool: pool,
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(10);
+            const stopped = timer.stop({ deadline: 50 });
+            clock.tick(50);
+
+            return stopped.then(function(res) {
+                assert.deepEqual(res, { reason: 'manual', forced: true });
+                assert.equal(pool.getStats().running, 1);
+
+                clock.tick(50);
+                assert.equal(pool.getStats().running, 0);
+            });
+        });
+    });
+
+    describe('fixed-rate mode', function() {
+        it('should run on multiples of the interval without drifting', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(callback, 30);
+                },
+                interval: 100,
+                mode: 'fixed-rate',
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(5);
+            clock.tick(400);
+
+            assert.deepEqual(startTimes, [0, 100, 200, 300, 400]);
+            timer.stop();
+        });
+
+        it('should skip slots missed while an invocation overran', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const durations = [250, 10, 10];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(callback, durations.shift() || 10);
+                },
+                interval: 100,
+                mode: 'fixed-rate',
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(500);
+
+            // never overlaps, and picks up on the next slot
+            assert.deepEqual(startTimes, [0, 300, 400, 500]);
+            timer.stop();
+        });
+
+        it('should align the first invocation to the epoch', function() {
+            const clock = reissue.createVirtualClock({ now: 61234 });
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 60000,
+                mode: 'fixed-rate',
+                align: true,
+                clock: clock
+            });
+
+            timer.start();
+            assert.deepEqual(startTimes, []);
+            clock.tick(120000);
+
+            assert.deepEqual(startTimes, [120000, 180000]);
+            timer.stop();
+        });
+
+        it('should align to an anchor', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            const startTimes = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 100,
+                mode: 'fixed-rate',
+                anchor: new Date(1025),
+                clock: clock
+            });
+
+            // runs right away, then on the anchored slots
+            timer.start();
+            clock.tick(200);
+
+            assert.deepEqual(startTimes, [1000, 1025, 1125]);
+            timer.stop();
+        });
+
+        it('should reject invalid options', function() {
+            function make(extra) {
+                return function() {
+                    reissue.create(
+                        Object.assign(
+                            {
+                                func: function(callback) {
+                                    return callback();
+                                },
+                                interval: 100
+                            },
+                            extra
+                        )
+                    );
+                };
+            }
+
+            assert.throws(make({ mode: 'sometimes' }), /mode must be one of/);
+            assert.throws(
+                make({
+                    mode: 'fixed-rate',
+                    interval: function() {
+                        return 100;
+                    }
+                }),
+                /numeric interval/
+            );
+            assert.throws(make({ align: true }), /only valid with fixed-rate/);
+            assert.throws(make({ anchor: 0 }), /only valid with fixed-rate/);
+        });
+    });
+
+    describe('overrun policy', function() {
+        function overrunning(clock, extra, startTimes) {
+            // first invocation takes 350ms, the rest 10ms
+            const durations = [350];
+            return reissue.create(
+                Object.assign(
+                    {
+                        func: function(callback) {
+                            startTimes.push(clock.now());
+                            return clock.setTimeout(
+                                callback,
+                                durations.shift() || 10
+                            );
+                        },
+                        interval: 100,
+                        clock: clock
+                    },
+                    extra
+                )
+            );
+        }
+
+        it('should run right away and report skipped slots by default', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const missed = [];
+            const timer = overrunning(clock, {}, startTimes);
+
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(startTimes, [0, 350, 450]);
+            assert.deepEqual(missed, [2]);
+            timer.stop();
+        });
+
+        it('should skip to the next slot', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const missed = [];
+            const timer = overrunning(
+                clock,
+                { overrunPolicy: 'skip' },
+                startTimes
+            );
+
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(startTimes, [0, 400, 500]);
+            assert.deepEqual(missed, [3]);
+            timer.stop();
+        });
+
+        it('should catch up on missed slots', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const missed = [];
+            const timer = overrunning(
+                clock,
+                { overrunPolicy: 'catch-up' },
+                startTimes
+            );
+
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(startTimes, [0, 350, 360, 370, 470]);
+            assert.deepEqual(missed, []);
+            timer.stop();
+        });
+
+        it('should catch up on at most maxCatchUp slots', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const missed = [];
+            const timer = overrunning(
+                clock,
+                { overrunPolicy: 'catch-up', maxCatchUp: 2 },
+                startTimes
+            );
+
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(startTimes, [0, 350, 360, 460]);
+            assert.deepEqual(missed, [1]);
+            timer.stop();
+        });
+
+        it('should catch up on fixed-rate slots', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = overrunning(
+                clock,
+                { mode: 'fixed-rate', overrunPolicy: 'catch-up' },
+                startTimes
+            );
+
+            timer.start();
+            clock.tick(500);
+
+            assert.deepEqual(startTimes, [0, 350, 360, 370, 400, 500]);
+            timer.stop();
+        });
+
+        it('should report cron slots skipped by default', function() {
+            const clock = reissue.createVirtualClock({
+                now: Date.parse('2021-05-03T10:00:30.000Z')
+            });
+            const startTimes = [];
+            const missed = [];
+            const durations = [25000];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(new Date(clock.now()).toISOString());
+                    return clock.setTimeout(callback, durations.shift() || 0);
+                },
+                cron: '*/10 * * * * *',
+                timezone: 'UTC',
+                clock: clock
+            });
+
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(40000);
+
+            assert.deepEqual(startTimes, [
+                '2021-05-03T10:00:40.000Z',
+                '2021-05-03T10:01:10.000Z'
+            ]);
+            assert.deepEqual(missed, [2]);
+            timer.stop();
+        });
+
+        ['skip', 'immediate', 'catch-up'].forEach(function(policy) {
+            it(
+                'should neither catch up on nor report fixed-rate slots ' +
+                    'skipped while backing off, with ' +
+                    policy,
+                function() {
+                    const clock = reissue.createVirtualClock();
+                    const startTimes = [];
+                    const missed = [];
+                    const timer = reissue.create({
+                        func: function(callback) {
+                            startTimes.push(clock.now());
+                            return clock.setTimeout(function() {
+                                // the second invocation fails
+                                return callback(
+                                    startTimes.length === 2
+                                        ? new Error('boom')
+                                        : null
+                                );
+                            }, 10);
+                        },
+                        interval: 1000,
+                        mode: 'fixed-rate',
+                        overrunPolicy: policy,
+                        backoff: {
+                            base: 10000,
+                            max: 10000,
+                            jitter: 'none'
+                        },
+                        clock: clock
+                    });
+
+                    timer.on('error', function(err) {
+                        assert.equal(err.message, 'boom');
+                    });
+                    timer.on('missed', function(count) {
+                        missed.push(count);
+                    });
+                    timer.start();
+                    clock.tick(13500);
+
+                    assert.deepEqual(startTimes, [
+                        0,
+                        1000,
+                        11010,
+                        12000,
+                        13000
+                    ]);
+                    assert.deepEqual(missed, []);
+                    timer.stop();
+                }
+            );
+        });
+
+        it('should not catch up on cron slots skipped while backing off', function() {
+            const clock = reissue.createVirtualClock({
+                now: Date.parse('2021-05-03T10:00:00.500Z')
+            });
+            const startTimes = [];
+            const missed = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(
+                        clock.now() - Date.parse('2021-05-03T10:00:00.000Z')
+                    );
+                    return callback(
+                        startTimes.length === 1 ? new Error('boom') : null
+                    );
+                },
+                cron: '* * * * * *',
+                timezone: 'UTC',
+                overrunPolicy: 'catch-up',
+                backoff: {
+                    base: 5000,
+                    max: 5000,
+                    jitter: 'none'
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.equal(err.message, 'boom');
+            });
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(8000);
+
+            assert.deepEqual(startTimes, [1000, 6000, 7000, 8000]);
+            assert.deepEqual(missed, []);
+            timer.stop();
+        });
+
+        it('should not catch up on fixed-rate slots skipped while the circuit is open', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const missed = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return clock.setTimeout(function() {
+                        return callback(
+                            startTimes.length === 2 ? new Error('boom') : null
+                        );
+                    }, 10);
+                },
+                interval: 100,
+                mode: 'fixed-rate',
+                overrunPolicy: 'catch-up',
+                circuitBreaker: {
+                    threshold: 1,
+                    cooldown: 1000
+                },
+                clock: clock
+            });
+
+            timer.on('error', function(err) {
+                assert.equal(err.message, 'boom');
+            });
+            timer.on('missed', function(count) {
+                missed.push(count);
+            });
+            timer.start();
+            clock.tick(1350);
+
+            assert.deepEqual(startTimes, [0, 100, 1200, 1300]);
+            assert.deepEqual(missed, []);
+            timer.stop();
+        });
+    });
+
+    describe('lock', function() {
+        function leader(clock, adapter, startTimes, name, extra) {
+            return reissue.create(
+                Object.assign(
+                    {
+                        func: function(callback) {
+                            startTimes.push(name + '@' + clock.now());
+                            return callback();
+                        },
+                        interval: 100,
+                        name: 'job',
+                        lock: {
+                            adapter: adapter,
+                            owner: name,
+                            ttl: 150
+                        },
+                        clock: clock
+                    },
+                    extra
+                )
+            );
+        }
+
+        it('should only run on the handler holding the lease', function() {
+            const clock = reissue.createVirtualClock();
+            const adapter = reissue.createMemoryLock({ clock: clock });
+            const startTimes = [];
+            const skipped = [];
+            const a = leader(clock, adapter, startTimes, 'a');
+            const b = leader(clock, adapter, startTimes, 'b');
+
+            b.on('skipped', function(info) {
+                skipped.push(info.reason + '@' + clock.now());
+            });
+            a.start();
+            b.start();
+            clock.tick(250);
+
+            assert.deepEqual(startTimes, ['a@0', 'a@100', 'a@200']);
+            assert.deepEqual(skipped, ['lock@0', 'lock@100', 'lock@200']);
+            assert.equal(b.getStats().invocations, 0);
+
+            // once the leader stops, the lease is released and taken over
+            a.stop();
+            clock.tick(100);
+            assert.deepEqual(startTimes, ['a@0', 'a@100', 'a@200', 'b@300']);
+            b.stop();
+        });
+
+        it('should take over an expired lease', function() {
+            const clock = reissue.createVirtualClock();
+            const adapter = reissue.createMemoryLock({ clock: clock });
+            const startTimes = [];
+            const a = leader(clock, adapter, startTimes, 'a', {
+                interval: 1000
+            });
+            const b = leader(clock, adapter, startTimes, 'b');
+
+            a.start();
+            b.start();
+            clock.tick(400);
+
+            // a's lease expired at 150, and b renews its own lease from then
+            assert.deepEqual(startTimes, ['a@0', 'b@200', 'b@300', 'b@400']);
+            a.stop();
+            b.stop();
+        });
+
+        it('should skip when the adapter fails', function() {
+            const clock = reissue.createVirtualClock();
+            const lockErr = new Error('lock service down');
+            const skipped = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    assert.fail('should not be invoked');
+                    return callback();
+                },
+                interval: 100,
+                lock: {
+                    key: 'job',
+                    adapter: {
+                        acquire: function(key, owner, ttl, callback) {
+                            assert.equal(key, 'job');
+                            assert.equal(ttl, 30000);
+                            assert.isString(owner);
+                            return callback(lockErr);
+                        },
+                        renew: function(key, owner, ttl, callback) {
+                            return callback(null, false);
+                        },
+                        release: function(key, owner, callback) {
+                            return callback(null);
+                        }
+                    }
+                },
+                clock: clock
+            });
+
+            timer.on('skipped', function(info) {
+                skipped.push(info);
+            });
+            timer.start();
+            clock.tick(100);
+
+            assert.deepEqual(skipped, [
+                { reason: 'lock', error: lockErr },
+                { reason: 'lock', error: lockErr }
+            ]);
+            timer.stop();
+        });
+
+        it('should release a lease acquired after stopping', function() {
+            const clock = reissue.createVirtualClock();
+            const adapter = reissue.createMemoryLock({ clock: clock });
+            const startTimes = [];
+            const a = leader(clock, adapter, startTimes, 'a');
+            const b = leader(clock, adapter, startTimes, 'b');
+
+            // stop while the lock request is in flight
+            a.start();
+            assert.equal(a.getState(), 'queued');
+            a.stop();
+            clock.tick(0);
+
+            b.start();
+            clock.tick(0);
+            assert.deepEqual(startTimes, ['b@0']);
+            b.stop();
+        });
+
+        it('should require a key or a name', function() {
+            assert.throws(function() {
+                reissue.create({
+                    func: function(callback) {
+                        return callback();
+                    },
+                    interval: 100,
+                    lock: {
+                        adapter: reissue.createMemoryLock()
+                    }
+                });
+            }, /requires a key or a name/);
+        });
+    });
+
+    describe('store', function() {
+        function counter(clock, memoryStore, startTimes, extra) {
+            return reissue.create(
+                Object.assign(
+                    {
+                        func: function(callback) {
+                            startTimes.push(clock.now());
+                            return callback();
+                        },
+                        interval: 100,
+                        name: 'job',
+                        store: memoryStore,
+                        clock: clock
+                    },
+                    extra
+                )
+            );
+        }
+
+        it('should carry on the schedule across restarts', function() {
+            const clock = reissue.createVirtualClock();
+            const memoryStore = reissue.createMemoryStore({ clock: clock });
+            const startTimes = [];
+            const first = counter(clock, memoryStore, startTimes);
+
+            // nothing saved yet, so the delay passed to start() is used
+            first.start(50);
+            clock.tick(160);
+            first.stop();
+            assert.deepEqual(startTimes, [50, 150]);
+
+            // restarted before the next invocation was due
+            clock.tick(40);
+            const second = counter(clock, memoryStore, startTimes);
+            second.start(0);
+            clock.tick(150);
+            assert.deepEqual(startTimes, [50, 150, 250, 350]);
+            second.stop();
+
+            // restarted long after the next invocation was due
+            clock.tick(1000);
+            second.start();
+            assert.equal(second.getState(), 'waiting');
+            clock.tick(0);
+            assert.deepEqual(startTimes, [50, 150, 250, 350, 1350]);
+            second.stop();
+        });
+
+        it('should mark the interval context when carrying on the schedule', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            const memoryStore = reissue.createMemoryStore({ clock: clock });
+            const startTimes = [];
+            const contexts = [];
+            const timer = counter(clock, memoryStore, startTimes, {
+                interval: function(elapsedTime, ctx) {
+                    contexts.push([elapsedTime, ctx.restored, ctx.result]);
+                    return 100;
+                }
+            });
+
+            memoryStore.save(
+                'job',
+                { lastStartTime: 950, lastEndTime: 960 },
+                function(err) {
+                    assert.ifError(err);
+                }
+            );
+            clock.tick(0);
+
+            timer.start();
+            clock.tick(50);
+            assert.deepEqual(startTimes, [1050]);
+            assert.deepEqual(contexts, [
+                [10, true, undefined],
+                [0, false, undefined]
+            ]);
+            timer.stop();
+        });
+
+        it('should rerun an invocation that never completed', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            const memoryStore = reissue.createMemoryStore({ clock: clock });
+            const startTimes = [];
+            const timer = counter(clock, memoryStore, startTimes);
+
+            memoryStore.save(
+                'job',
+                { lastStartTime: 950, lastEndTime: 800 },
+                function(err) {
+                    assert.ifError(err);
+                }
+            );
+            clock.tick(0);
+
+            timer.start();
+            clock.tick(0);
+            assert.deepEqual(startTimes, [1000]);
+            timer.stop();
+
+            memoryStore.load('job', function(err, state) {
+                assert.ifError(err);
+                assert.deepEqual(state, {
+                    lastStartTime: 1000,
+                    lastEndTime: 1000
+                });
+            });
+            clock.tick(0);
+        });
+
+        it('should carry on cron and fixed-rate schedules', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            const memoryStore = reissue.createMemoryStore({ clock: clock });
+            const cronTimes = [];
+            const rateTimes = [];
+            const cronTimer = counter(clock, memoryStore, cronTimes, {
+                interval: undefined,
+                cron: '*/10 * * * * *',
+                name: 'cron'
+            });
+            const rateTimer = counter(clock, memoryStore, rateTimes, {
+                interval: 3000,
+                mode: 'fixed-rate',
+                name: 'rate'
+            });
+
+            memoryStore.save(
+                'cron',
+                { lastStartTime: 0, lastEndTime: 5 },
+                function(err) {
+                    assert.ifError(err);
+                }
+            );
+            memoryStore.save(
+                'rate',
+                { lastStartTime: 500, lastEndTime: 505 },
+                function(err) {
+                    assert.ifError(err);
+                }
+            );
+            cronTimer.start();
+            rateTimer.start();
+            clock.tick(21000);
+
+            // slots stay aligned to the last invocation
+            assert.deepEqual(cronTimes, [10000, 20000]);
+            assert.deepEqual(rateTimes, [
+                3500,
+                6500,
+                9500,
+                12500,
+                15500,
+                18500,
+                21500
+            ]);
+
+            // slots that came due while stopped run once, right away
+            cronTimer.stop();
+            rateTimer.stop();
+            clock.tick(25500);
+            cronTimer.start();
+            rateTimer.start();
+            clock.tick(4000);
+            assert.deepEqual(cronTimes, [10000, 20000, 47500, 50000]);
+            assert.deepEqual(rateTimes, [
+                3500,
+                6500,
+                9500,
+                12500,
+                15500,
+                18500,
+                21500,
+                47500,
+                48500,
+                51500
+            ]);
+            cronTimer.stop();
+            rateTimer.stop();
+        });
+
+        it('should handle stop(), pause() and trigger() while loading', function() {
+            const clock = reissue.createVirtualClock();
+            const memoryStore = reissue.createMemoryStore({ clock: clock });
+            const startTimes = [];
+            const timer = counter(clock, memoryStore, startTimes);
+
+            timer.start();
+            timer.stop();
+            clock.tick(500);
+            assert.deepEqual(startTimes, []);
+
+            timer.start(50);
+            timer.pause();
+            clock.tick(500);
+            assert.deepEqual(startTimes, []);
+            timer.resume();
+            clock.tick(50);
+            assert.deepEqual(startTimes, [1050]);
+
+            timer.stop();
+            timer.start(50);
+            const triggered = timer.trigger();
+            clock.tick(0);
+            assert.deepEqual(startTimes, [1050, 1050]);
+            timer.stop();
+            return triggered;
+        });
+
+        it('should start afresh if the state fails to load', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, null, startTimes, {
+                store: {
+                    load: function(key, callback) {
+                        assert.equal(key, 'job');
+                        return callback(new Error('boom'));
+                    },
+                    save: function(key, state, callback) {
+                        return callback(new Error('boom'));
+                    }
+                }
+            });
+
+            timer.start(50);
+            clock.tick(150);
+            assert.deepEqual(startTimes, [50, 150]);
+            timer.stop();
+        });
+
+        it('should require a name', function() {
+            assert.throws(function() {
+                reissue.create({
+                    func: function(callback) {
+                        return callback();
+                    },
+                    interval: 100,
+                    store: reissue.createMemoryStore()
+                });
+            }, /store requires a name/);
+        });
+    });
+
+    describe('lifecycle events', function() {
+        it('should emit events with invocation metadata', function() {
+            const clock = reissue.createVirtualClock({ now: 1000 });
+            const seen = [];
+            const boom = new Error('boom');
+            let fail = false;
+            const timer = reissue.create({
+                func: function(callback) {
+                    clock.setTimeout(function() {
+                        return fail ? callback(boom) : callback(null, 'ok');
+                    }, 30);
+                },
+                interval: 100,
+                clock: clock
+            });
+
+            [
+                'start',
+                'invoke',
+                'success',
+                'error',
+                'complete',
+                'schedule',
+                'stop'
+            ].forEach(function(eventName) {
+                timer.on(eventName, function(first, second) {
+                    seen.push([
+                        eventName,
+                        eventName === 'error' ? second : first
+                    ]);
+                });
+            });
+
+            timer.start(50);
+            clock.tick(80);
+            fail = true;
+            clock.tick(100);
+            timer.stop();
+
+            assert.deepEqual(seen, [
+                ['start', { startTime: 1000 }],
+                ['schedule', { invocation: 1, delay: 50, nextRunAt: 1050 }],
+                ['invoke', { invocation: 1, startTime: 1050 }],
+                [
+                    'success',
+                    {
+                        invocation: 1,
+                        startTime: 1050,
+                        duration: 30,
+                        result: 'ok'
+                    }
+                ],
+                [
+                    'complete',
+                    {
+                        invocation: 1,
+                        startTime: 1050,
+                        duration: 30,
+                        delay: 70,
+                        error: null,
+                        result: 'ok'
+                    }
+                ],
+                ['schedule', { invocation: 2, delay: 70, nextRunAt: 1150 }],
+                ['invoke', { invocation: 2, startTime: 1150 }],
+                [
+                    'error',
+                    {
+                        invocation: 2,
+                        startTime: 1150,
+                        duration: 30,
+                        attempt: 1,
+                        delay: 70
+                    }
+                ],
+                [
+                    'complete',
+                    {
+                        invocation: 2,
+                        startTime: 1150,
+                        duration: 30,
+                        delay: 70,
+                        error: boom,
+                        result: undefined
+                    }
+                ],
+                ['schedule', { invocation: 3, delay: 70, nextRunAt: 1250 }],
+                // for node style callbacks, stop has no arguments
+                ['stop', { reason: 'manual', forced: false }]
+            ]);
+        });
+
+        it('should pass invocation metadata to timeout event', function() {
+            const clock = reissue.createVirtualClock();
+            let timeoutInfo;
+            const timer = reissue.create({
+                func: function(callback) {
+                    clock.setTimeout(callback, 100);
+                },
+                interval: 100,
+                timeout: 20,
+                clock: clock
+            });
+
+            timer.on('timeout', function(info) {
+                timeoutInfo = info;
+            });
+            timer.start();
+            clock.tick(50);
+            timer.stop();
+
+            assert.deepEqual(timeoutInfo, {
+                invocation: 1,
+                startTime: 0,
+                duration: 20
+            });
+        });
+
+        it('should not run if stopped from a start listener', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    assert.fail('should not be invoked');
+                    return callback();
+                },
+                interval: 100,
+                clock: clock
+            });
+
+            timer.on('start', function() {
+                timer.stop();
+            });
+            timer.start();
+            clock.tick(500);
+            assert.equal(timer.getState(), 'stopped');
+        });
+    });
+
+    describe('timeout policy', function() {
+        it('should abandon invocations that time out', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const seen = [];
+            const misuses = [];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    // the first invocation hangs for a while
+                    clock.setTimeout(
+                        callback,
+                        startTimes.length === 1 ? 250 : 10
+                    );
+                },
+                interval: 100,
+                timeout: 50,
+                timeoutPolicy: 'abandon',
+                clock: clock
+            });
+
+            timer.on('timeout', function() {
+                seen.push(['timeout', clock.now()]);
+            });
+            timer.on('error', function(err, info) {
+                assert.equal(err.message, 'invocation timed out after 50ms');
+                seen.push(['error', clock.now(), info.invocation]);
+            });
+            timer.on('misuse', function(err, info) {
+                assert.equal(
+                    err.message,
+                    'invocation 1 completed after it was abandoned'
+                );
+                assert.isString(err.stack);
+                misuses.push([clock.now(), info.invocation]);
+            });
+
+            timer.start();
+            clock.tick(300);
+            timer.stop();
+
+            assert.deepEqual(startTimes, [0, 100, 200, 300]);
+            assert.deepEqual(seen, [
+                ['timeout', 50],
+                ['error', 50, 1]
+            ]);
+            // the late completion of the first invocation is reported, but
+            // doesn't complete any other invocation
+            assert.deepEqual(misuses, [[250, 1]]);
+
+            const stats = timer.getStats();
+            assert.equal(stats.errors, 1);
+            assert.equal(stats.timeouts, 1);
+            assert.equal(stats.successes, 2);
+        });
+
+        it('should abandon invocations that time out after stop()', function() {
+            const clock = reissue.createVirtualClock();
+            const timer = reissue.create({
+                func: function(callback) {
+                    // never completes
+                },
+                interval: 100,
+                timeout: 50,
+                timeoutPolicy: 'abandon',
+                clock: clock
+            });
+            const errors = [];
+            let stopInfo = null;
+
+            timer.on('error', function(err) {
+                errors.push(err.message);
+            });
+            timer.start();
+            clock.tick(10);
+            timer.stop().then(function(info) {
+                stopInfo = info;
+            });
+            assert.equal(timer.getState(), 'stopping');
+
+            return clock.tickAsync(40).then(function() {
+                assert.deepEqual(stopInfo, { reason: 'manual', forced: false });
+                assert.deepEqual(errors, ['invocation timed out after 50ms']);
+                assert.equal(timer.getState(), 'stopped');
+            });
+        });
+
+        it('should throw on invalid timeoutPolicy', function() {
+            assert.throws(function() {
+                reissue.create({
+                    func: function(callback) {
+                        return callback();
+                    },
+                    interval: 100,
+                    timeoutPolicy: 'retry'
+                });
+            }, /timeoutPolicy must be one of/);
+        });
+    });
+
+    describe('results', function() {
+        it('should keep and emit the result of each invocation', function() {
+            const clock = reissue.createVirtualClock();
+            const seen = [];
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return i === 2
+                        ? callback(new Error('boom'))
+                        : callback(null, 'value ' + i);
+                },
+                interval: 100,
+                clock: clock
+            });
+
+            timer.on('error', function() {
+                seen.push(['error', timer.lastResult]);
+            });
+            timer.on('result', function(result) {
+                seen.push(['result', result, timer.lastResult]);
+            });
+
+            assert.isUndefined(timer.lastResult);
+            timer.start();
+            clock.tick(200);
+            timer.stop();
+
+            assert.deepEqual(seen, [
+                ['result', 'value 1', 'value 1'],
+                ['error', 'value 1'],
+                ['result', 'value 3', 'value 3']
+            ]);
+            assert.equal(timer.lastResult, 'value 3');
+        });
+
+        it('should settle next() with the next invocation', function() {
+            const clock = reissue.createVirtualClock();
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return i === 2
+                        ? callback(new Error('boom'))
+                        : callback(null, i);
+                },
+                interval: 100,
+                clock: clock
+            });
+            const settled = [];
+
+            function record(promise) {
+                return promise.then(
+                    function(result) {
+                        settled.push(['resolved', result]);
+                    },
+                    function(err) {
+                        settled.push(['rejected', err.message]);
+                    }
+                );
+            }
+
+            timer.on('error', function() {
+                // expected
+            });
+            // waiting from a listener waits for the invocation after
+            timer.once('result', function() {
+                record(timer.next());
+            });
+
+            const pending = [record(timer.next())];
+            timer.start(50);
+            pending.push(record(timer.next()));
+
+            return clock
+                .tickAsync(50)
+                .then(function() {
+                    return clock.tickAsync(100);
+                })
+                .then(function() {
+                    pending.push(record(timer.next()));
+                    pending.push(record(timer.next()));
+                    return clock.tickAsync(100);
+                })
+                .then(function() {
+                    pending.push(record(timer.next()));
+                    timer.stop();
+                    return Promise.all(pending);
+                })
+                .then(function() {
+                    assert.deepEqual(settled, [
+                        [
+                            'rejected',
+                            'cannot wait for next, function not active!'
+                        ],
+                        ['resolved', 1],
+                        ['rejected', 'boom'],
+                        ['resolved', 3],
+                        ['resolved', 3],
+                        [
+                            'rejected',
+                            'handler stopped before next invocation completed'
+                        ]
+                    ]);
+                });
+        });
+    });
+
+    describe('consuming', function() {
+        function counter(clock, startTimes) {
+            let i = 0;
+
+            return reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    i++;
+                    return i === 4
+                        ? callback(new Error('boom'))
+                        : callback(null, i);
+                },
+                interval: 100,
+                clock: clock
+            });
+        }
+
+        it('should hold off invocations until values are pulled', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const iterator = timer[Symbol.asyncIterator]();
+
+            assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+            // iterating starts the handler
+            assert.equal(timer.getState(), 'running');
+
+            return clock
+                .tickAsync(500)
+                .then(function() {
+                    // nobody pulled the first value yet
+                    assert.deepEqual(startTimes, [0]);
+                    assert.equal(timer.getState(), 'waiting');
+                    return iterator.next();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: 1, done: false });
+                    // overdue, so runs right away
+                    return clock.tickAsync(0);
+                })
+                .then(function() {
+                    assert.deepEqual(startTimes, [0, 500]);
+                    // a pending pull doesn't hold off the handler
+                    const pulled = iterator.next();
+                    return clock.tickAsync(100).then(function() {
+                        return pulled;
+                    });
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: 2, done: false });
+                    assert.deepEqual(startTimes, [0, 500, 600]);
+                    return iterator.return();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: undefined, done: true });
+                    assert.equal(timer.getState(), 'stopped');
+                    return iterator.next();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: undefined, done: true });
+                });
+        });
+
+        it('should throw the error of a failed invocation', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const values = [];
+
+            timer.start();
+            const iterator = timer[Symbol.asyncIterator]();
+
+            function pull() {
+                return iterator.next().then(function(item) {
+                    values.push(item.value);
+                    return pull();
+                });
+            }
+
+            const pulled = pull().then(
+                function() {
+                    assert.fail('should have thrown');
+                },
+                function(err) {
+                    assert.equal(err.message, 'boom');
+                    assert.deepEqual(values, [1, 2, 3]);
+                    assert.equal(timer.getState(), 'stopped');
+                }
+            );
+
+            return clock.tickAsync(300).then(function() {
+                return pulled;
+            });
+        });
+
+        it('should end when the handler stops', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const iterator = timer[Symbol.asyncIterator]();
+
+            return clock
+                .tickAsync(0)
+                .then(function() {
+                    timer.stop();
+                    // values pulled before stopping are still handed out
+                    return iterator.next();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: 1, done: false });
+                    return iterator.next();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: undefined, done: true });
+                    // values left behind don't hold off a restart
+                    timer.start();
+                    return clock.tickAsync(100);
+                })
+                .then(function() {
+                    assert.deepEqual(startTimes, [0, 0, 100]);
+                    timer.stop();
+                });
+        });
+
+        it('should hold off a trigger until the value is pulled', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const iterator = timer[Symbol.asyncIterator]();
+            let triggered;
+
+            return clock
+                .tickAsync(50)
+                .then(function() {
+                    triggered = timer.trigger();
+                    return clock.tickAsync(100);
+                })
+                .then(function() {
+                    // nobody pulled the first value yet
+                    assert.deepEqual(startTimes, [0]);
+                    return iterator.next();
+                })
+                .then(function(item) {
+                    assert.deepEqual(item, { value: 1, done: false });
+                    return clock.tickAsync(0);
+                })
+                .then(function() {
+                    // runs right away, rather than on the next slot
+                    assert.deepEqual(startTimes, [0, 150]);
+                    return triggered;
+                })
+                .then(function(result) {
+                    assert.equal(result, 2);
+                    return iterator.return();
+                });
+        });
+
+        it('should stream values with backpressure', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const readable = timer.toStream();
+            const values = [];
+            const errored = new Promise(function(resolve) {
+                readable.on('error', resolve);
+            });
+
+            readable.on('data', function(value) {
+                values.push(value);
+
+                // stop reading for a while
+                if (values.length === 2) {
+                    readable.pause();
+                }
+            });
+
+            return clock
+                .tickAsync(800)
+                .then(function() {
+                    // the stream buffers one more value, and the consumer the
+                    // error after it.
+                    assert.deepEqual(values, [1, 2]);
+                    assert.deepEqual(startTimes, [0, 100, 200, 300]);
+                    readable.resume();
+                    return errored;
+                })
+                .then(function(err) {
+                    assert.equal(err.message, 'boom');
+                    assert.deepEqual(values, [1, 2, 3]);
+                    assert.equal(timer.getState(), 'stopped');
+                });
+        });
+
+        it('should destroy the stream on a null result', function() {
+            const clock = reissue.createVirtualClock();
+            const values = [];
+            let i = 0;
+            const timer = reissue.create({
+                func: function(callback) {
+                    i++;
+                    return callback(null, i === 2 ? null : i);
+                },
+                interval: 100,
+                clock: clock
+            });
+            const readable = timer.toStream();
+            const errored = new Promise(function(resolve) {
+                readable.on('error', resolve);
+            });
+
+            readable.on('data', function(value) {
+                values.push(value);
+            });
+
+            return clock
+                .tickAsync(100)
+                .then(function() {
+                    return errored;
+                })
+                .then(function(err) {
+                    assert.include(err.message, 'null result');
+                    assert.deepEqual(values, [1]);
+                    assert.equal(timer.getState(), 'stopped');
+                });
+        });
+
+        it('should stop the handler when the stream is destroyed', function(done) {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const timer = counter(clock, startTimes);
+            const readable = timer.toStream();
+
+            readable.once('data', function(value) {
+                assert.equal(value, 1);
+                readable.destroy();
+            });
+            readable.on('close', function() {
+                assert.equal(timer.getState(), 'stopped');
+                return done();
+            });
+
+            clock.tickAsync(0);
+        });
+    });
+
+    describe('should run', function() {
+        it('should skip invocations while the predicate returns false', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const skipped = [];
+            let enabled = false;
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 100,
+                shouldRun: function() {
+                    return enabled;
+                },
+                clock: clock
+            });
+
+            timer.on('skipped', function(info) {
+                skipped.push(info.reason + '@' + clock.now());
+            });
+            timer.start();
+            clock.tick(100);
+            enabled = true;
+            clock.tick(100);
+            enabled = 0;
+            clock.tick(100);
+
+            // only false skips, other falsy values don't.
+            assert.deepEqual(startTimes, [200, 300]);
+            assert.deepEqual(skipped, ['shouldRun@0', 'shouldRun@100']);
+
+            const stats = timer.getStats();
+            assert.equal(stats.invocations, 2);
+            assert.equal(stats.successes, 2);
+            assert.equal(stats.errors, 0);
+            assert.equal(stats.skipped, 2);
+            timer.stop();
+        });
+
+        it('should mark the interval context after a skipped invocation', function() {
+            const clock = reissue.createVirtualClock();
+            const contexts = [];
+            let enabled = false;
+            const timer = reissue.create({
+                func: function(callback) {
+                    return callback(null, { done: false });
+                },
+                interval: function(elapsedTime, ctx) {
+                    contexts.push([ctx.skipped, ctx.result, ctx.error]);
+
+                    if (ctx.skipped === true) {
+                        return 50;
+                    }
+                    return ctx.result.done ? null : 100;
+                },
+                shouldRun: function() {
+                    return enabled;
+                },
+                clock: clock
+            });
+
+            timer.start();
+            clock.tick(50);
+            enabled = true;
+            clock.tick(50);
+
+            assert.deepEqual(contexts, [
+                [true, undefined, null],
+                [true, undefined, null],
+                [false, { done: false }, null]
+            ]);
+            timer.stop();
+        });
+
+        it('should wait for a promise returned by the predicate', function() {
+            const clock = reissue.createVirtualClock();
+            const startTimes = [];
+            const skipped = [];
+            const checkErr = new Error('flag service down');
+            const results = [false, true, checkErr];
+            const timer = reissue.create({
+                func: function(callback) {
+                    startTimes.push(clock.now());
+                    return callback();
+                },
+                interval: 100,
+                shouldRun: function() {
+                    const next = results.shift();
+                    return next instanceof Error
+                        ? Promise.reject(next)
+                        : Promise.resolve(next);
+                },
+                clock: clock
+            });
+
+            timer.on('skipped', function(info) {
+                skipped.push(info);
+            });
+            timer.start();
+            assert.equal(timer.getState(), 'queued');
+
+            return clock.tickAsync(250).then(function() {
+                assert.deepEqual(startTimes, [100]);
+                assert.deepEqual(skipped, [
+                    { reason: 'shouldRun' },
+                    { reason: 'shouldRun', error: checkErr }
+                ]);
+                timer.stop();
+            });
+        });
+
+        it('should not invoke once stopped while checking', function() {
+            const clock = reissue.createVirtualClock();
+            let resolveCheck;
+            const timer = reissue.create({
+                func: function(callback) {
+                    assert.fail('should not be invoked');
+                    return callback();
+                },
+                interval: 100,
+                shouldRun: function() {
+                    return new Promise(function(resolve) {
+                        resolveCheck = resolve;
+                    });
+                },
+                clock: clock
+            });
+
+            timer.start();
+            assert.equal(timer.getState(), 'queued');
+            // waits on the invocation being checked
+            const triggered = timer.trigger().then(
+                function() {
+                    assert.fail('should have rejected');
+                },
+                function(err) {
+                    return err;
+                }
+            );
+
+            return timer.stop().then(function(info) {
+                assert.equal(info.reason, 'manual');
+                resolveCheck(true);
+
+                return clock.tickAsync(100).then(function() {
+                    assert.equal(timer.getState(), 'stopped');
+                    return triggered.then(function(err) {
+                        assert.match(err.message, /handler stopped/);
+                    });
+                });
+            });
+        });
+    });
 });
@@ -0,0 +1,217 @@
+'use strict';
+
+// core modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const reissue = require('../lib');
+
+describe('MemoryLock', function() {
+    it('should hand out a lease to one owner at a time', function(done) {
+        const clock = reissue.createVirtualClock();
+        const adapter = reissue.createMemoryLock({ clock: clock });
+        const results = [];
+
+        adapter.acquire('job', 'a', 100, function(err, acquired) {
+            assert.ifError(err);
+            results.push(['a', acquired]);
+        });
+        adapter.acquire('job', 'b', 100, function(err, acquired) {
+            assert.ifError(err);
+            results.push(['b', acquired]);
+        });
+        adapter.renew('job', 'b', 100, function(err, renewed) {
+            assert.ifError(err);
+            results.push(['b renew', renewed]);
+        });
+        clock.tick(0);
+        assert.deepEqual(results, [
+            ['a', true],
+            ['b', false],
+            ['b renew', false]
+        ]);
+
+        // lease expires without a renewal
+        clock.tick(100);
+        adapter.acquire('job', 'b', 100, function(err, acquired) {
+            assert.ifError(err);
+            assert.isTrue(acquired);
+            adapter.release('job', 'b', function(releaseErr) {
+                assert.ifError(releaseErr);
+                adapter.acquire('job', 'a', 100, function(acquireErr, again) {
+                    assert.ifError(acquireErr);
+                    assert.isTrue(again);
+                    return done();
+                });
+                clock.tick(0);
+            });
+            clock.tick(0);
+        });
+        clock.tick(0);
+    });
+});
+
+describe('FileLock', function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reissue-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it('should hand out a lease to one owner at a time', function(done) {
+        const adapter = reissue.createFileLock({ dir: dir });
+
+        adapter.acquire('my job', 'a', 1000, function(err, acquired) {
+            assert.ifError(err);
+            assert.isTrue(acquired);
+            assert.deepEqual(fs.readdirSync(dir), ['my%20job.lock']);
+
+            adapter.acquire('my job', 'b', 1000, function(err2, acquired2) {
+                assert.ifError(err2);
+                assert.isFalse(acquired2);
+
+                adapter.renew('my job', 'a', 1000, function(err3, renewed) {
+                    assert.ifError(err3);
+                    assert.isTrue(renewed);
+
+                    adapter.release('my job', 'a', function(err4) {
+                        assert.ifError(err4);
+                        assert.deepEqual(fs.readdirSync(dir), []);
+                        return done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('should hand out an expired lease to another owner', function(done) {
+        const adapter = reissue.createFileLock({ dir: dir });
+
+        adapter.acquire('job', 'a', -1, function(err, acquired) {
+            assert.ifError(err);
+            assert.isTrue(acquired);
+
+            adapter.acquire('job', 'b', 1000, function(err2, acquired2) {
+                assert.ifError(err2);
+                assert.isTrue(acquired2);
+
+                adapter.renew('job', 'a', 1000, function(err3, renewed) {
+                    assert.ifError(err3);
+                    assert.isFalse(renewed);
+                    return done();
+                });
+            });
+        });
+    });
+
+    it('should not touch the lease while the mutex is held', function(done) {
+        const adapter = reissue.createFileLock({ dir: dir });
+
+        fs.mkdirSync(path.join(dir, 'job.lock.mutex'));
+        adapter.acquire('job', 'a', 1000, function(err, acquired) {
+            assert.ifError(err);
+            assert.isFalse(acquired);
+            fs.rmdirSync(path.join(dir, 'job.lock.mutex'));
+            return done();
+        });
+    });
+
+    it('should keep the lease with several instances competing for it', function(done) {
+        const owners = ['b', 'c', 'd', 'a'];
+        const adapters = owners.map(function() {
+            return reissue.createFileLock({ dir: dir });
+        });
+        let rounds = 0;
+
+        adapters[3].acquire('job', 'a', 1000, function(err, acquired) {
+            assert.ifError(err);
+            assert.isTrue(acquired);
+            return round();
+        });
+
+        // every round, the others try to acquire, and the leader renews
+        // while they hold the mutex.
+        function round() {
+            const results = {};
+
+            owners.forEach(function(owner, i) {
+                const method = owner === 'a' ? 'renew' : 'acquire';
+
+                adapters[i][method]('job', owner, 1000, function(err, held) {
+                    assert.ifError(err);
+                    results[owner] = held;
+
+                    if (Object.keys(results).length < 4) {
+                        return undefined;
+                    }
+
+                    assert.deepEqual(results, {
+                        a: true,
+                        b: false,
+                        c: false,
+                        d: false
+                    });
+                    rounds++;
+                    return rounds < 10 ? round() : done();
+                });
+            });
+        }
+    });
+
+    it('should take over a mutex left behind by a crashed process', function(done) {
+        const adapter = reissue.createFileLock({ dir: dir });
+        const mutex = path.join(dir, 'job.lock.mutex');
+        const past = new Date(Date.now() - 60000);
+
+        fs.mkdirSync(mutex);
+        fs.utimesSync(mutex, past, past);
+        adapter.acquire('job', 'a', 1000, function(err, acquired) {
+            assert.ifError(err);
+            assert.isTrue(acquired);
+            assert.isFalse(fs.existsSync(mutex));
+            assert.deepEqual(fs.readdirSync(dir), ['job.lock']);
+            return done();
+        });
+    });
+
+    it('should not take over a stale mutex another process is taking over', function(done) {
+        const adapter = reissue.createFileLock({ dir: dir });
+        const mutex = path.join(dir, 'job.lock.mutex');
+        const past = new Date(Date.now() - 60000);
+
+        fs.mkdirSync(mutex);
+        fs.utimesSync(mutex, past, past);
+        const claim = mutex + '.' + fs.statSync(mutex).mtimeMs;
+        fs.mkdirSync(claim);
+
+        adapter.acquire('job', 'a', 1000, function(err, acquired) {
+            assert.ifError(err);
+            assert.isFalse(acquired);
+            assert.isTrue(fs.existsSync(mutex));
+            assert.isTrue(fs.existsSync(claim));
+
+            // the claim of a process that crashed while taking over is
+            // cleared, and the mutex is taken over on a retry.
+            fs.utimesSync(claim, past, past);
+            adapter.acquire('job', 'a', 1000, function(err2, acquired2) {
+                assert.ifError(err2);
+                assert.isTrue(acquired2);
+                assert.deepEqual(fs.readdirSync(dir), ['job.lock']);
+                return done();
+            });
+        });
+    });
+});
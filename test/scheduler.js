@@ -0,0 +1,148 @@
+'use strict';
+
+// core modules
+const EventEmitter = require('events');
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const reissue = require('../lib');
+
+describe('Scheduler', function() {
+    it('should be an EventEmitter', function() {
+        assert.instanceOf(reissue.createScheduler(), EventEmitter);
+    });
+
+    it('should add handlers by name and look them up', function() {
+        const scheduler = reissue.createScheduler();
+        const handler = scheduler.add('poll', {
+            func: function(callback) {
+                return callback();
+            },
+            interval: 100
+        });
+
+        assert.equal(handler.name, 'poll');
+        assert.strictEqual(scheduler.get('poll'), handler);
+        assert.isNull(scheduler.get('nope'));
+        assert.throws(function() {
+            scheduler.add('poll', {
+                func: function(callback) {
+                    return callback();
+                },
+                interval: 100
+            });
+        }, /already exists/);
+    });
+
+    it('should list, start and stop all handlers', function() {
+        const clock = reissue.createVirtualClock();
+        const scheduler = reissue.createScheduler();
+        const counts = { a: 0, b: 0 };
+
+        ['a', 'b'].forEach(function(name) {
+            scheduler.add(name, {
+                func: function(callback) {
+                    counts[name]++;
+                    return callback();
+                },
+                interval: 100,
+                clock: clock
+            });
+        });
+
+        assert.deepEqual(scheduler.list(), [
+            { name: 'a', state: 'stopped' },
+            { name: 'b', state: 'stopped' }
+        ]);
+
+        scheduler.get('a').start();
+        scheduler.startAll(50);
+        clock.tick(250);
+        assert.deepEqual(counts, { a: 3, b: 3 });
+        assert.deepEqual(scheduler.list(), [
+            { name: 'a', state: 'waiting' },
+            { name: 'b', state: 'waiting' }
+        ]);
+
+        return scheduler.stopAll().then(function(results) {
+            assert.deepEqual(results, {
+                a: { reason: 'manual', forced: false },
+                b: { reason: 'manual', forced: false }
+            });
+            assert.deepEqual(scheduler.list(), [
+                { name: 'a', state: 'stopped' },
+                { name: 'b', state: 'stopped' }
+            ]);
+        });
+    });
+
+    it('should forward events tagged with the handler name', function() {
+        const clock = reissue.createVirtualClock();
+        const scheduler = reissue.createScheduler();
+        const seen = [];
+
+        scheduler.add('failing', {
+            func: function(callback) {
+                return callback(new Error('boom'));
+            },
+            interval: 100,
+            clock: clock
+        });
+
+        scheduler.on('error', function(err, name, info) {
+            assert.equal(err.message, 'boom');
+            seen.push(['error', name, info.attempt]);
+        });
+        scheduler.on('stop', function(name, info) {
+            seen.push(['stop', name, info.reason]);
+        });
+
+        scheduler.get('failing').start();
+        clock.tick(0);
+
+        return scheduler.stopAll().then(function() {
+            assert.deepEqual(seen, [
+                ['error', 'failing', 1],
+                ['stop', 'failing', 'manual']
+            ]);
+        });
+    });
+
+    it('should stop and remove handlers', function() {
+        const clock = reissue.createVirtualClock();
+        const scheduler = reissue.createScheduler();
+        const stops = [];
+        const handler = scheduler.add('poll', {
+            func: function(callback) {
+                return callback();
+            },
+            interval: 100,
+            clock: clock
+        });
+
+        scheduler.on('stop', function(name) {
+            stops.push(name);
+        });
+        handler.start();
+        clock.tick(0);
+
+        return scheduler.remove('poll').then(function(info) {
+            assert.equal(info.reason, 'manual');
+            assert.isNull(scheduler.get('poll'));
+            assert.deepEqual(scheduler.list(), []);
+            assert.deepEqual(stops, ['poll']);
+            assert.equal(handler.getState(), 'stopped');
+
+            // no longer forwarded once removed
+            handler.start(100);
+            handler.stop();
+            assert.deepEqual(stops, ['poll']);
+            assert.throws(function() {
+                scheduler.remove('poll');
+            }, /no such handler/);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+// core modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// external modules
+const chai = require('chai');
+const assert = chai.assert;
+
+// internal files
+const reissue = require('../lib');
+
+describe('MemoryStore', function() {
+    it('should save and load state by key', function(done) {
+        const clock = reissue.createVirtualClock();
+        const memoryStore = reissue.createMemoryStore({ clock: clock });
+        const state = { lastStartTime: 100, lastEndTime: 150 };
+
+        memoryStore.save('job', state, function(err) {
+            assert.ifError(err);
+            // changing the state after saving it has no effect
+            state.lastStartTime = 200;
+
+            memoryStore.load('job', function(loadErr, loaded) {
+                assert.ifError(loadErr);
+                assert.deepEqual(loaded, {
+                    lastStartTime: 100,
+                    lastEndTime: 150
+                });
+
+                memoryStore.load('other', function(otherErr, other) {
+                    assert.ifError(otherErr);
+                    assert.isNull(other);
+                    return done();
+                });
+                clock.tick(0);
+            });
+            clock.tick(0);
+        });
+        clock.tick(0);
+    });
+});
+
+describe('FileStore', function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reissue-'));
+    });
+
+    afterEach(function() {
+        fs.readdirSync(dir).forEach(function(file) {
+            fs.unlinkSync(path.join(dir, file));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it('should save and load state by key', function(done) {
+        const fileStore = reissue.createFileStore({ dir: dir });
+
+        fileStore.load('my job', function(err, state) {
+            assert.ifError(err);
+            assert.isNull(state);
+
+            fileStore.save(
+                'my job',
+                { lastStartTime: 100, lastEndTime: 150 },
+                function(saveErr) {
+                    assert.ifError(saveErr);
+                    assert.deepEqual(fs.readdirSync(dir), ['my%20job.json']);
+
+                    // a new store, e.g., after a restart
+                    reissue
+                        .createFileStore({ dir: dir })
+                        .load('my job', function(loadErr, loaded) {
+                            assert.ifError(loadErr);
+                            assert.deepEqual(loaded, {
+                                lastStartTime: 100,
+                                lastEndTime: 150
+                            });
+                            return done();
+                        });
+                }
+            );
+        });
+    });
+
+    it('should fail to load a corrupt file', function(done) {
+        const fileStore = reissue.createFileStore({ dir: dir });
+
+        fs.writeFileSync(path.join(dir, 'job.json'), '{"lastStart');
+        fileStore.load('job', function(err, state) {
+            assert.instanceOf(err, SyntaxError);
+            assert.isNull(state);
+            return done();
+        });
+    });
+});